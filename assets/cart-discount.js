@@ -0,0 +1,154 @@
+if (!customElements.get('cart-discount')) {
+  class CartDiscount extends HTMLElement {
+    constructor() {
+      super();
+      this.input = this.querySelector('.js-discount-input');
+      this.applyBtn = this.querySelector('.js-discount-apply');
+      this.error = this.querySelector('.js-discount-error');
+
+      this.input.addEventListener('keydown', this.handleInputKeydown.bind(this));
+      this.addEventListener('click', this.handleClick.bind(this));
+    }
+
+    /**
+     * Handles 'click' events on the discount element.
+     * @param {object} evt - Event object.
+     */
+    handleClick(evt) {
+      const removeBtn = evt.target.closest('.js-discount-remove');
+
+      if (evt.target.closest('.js-discount-apply')) {
+        this.apply();
+      } else if (removeBtn) {
+        this.remove(removeBtn);
+      }
+    }
+
+    /**
+     * Handles 'keydown' events on the discount code input.
+     * @param {object} evt - Event object.
+     */
+    handleInputKeydown(evt) {
+      // The field sits inside the cart form, which would otherwise be submitted.
+      if (evt.key === 'Enter') {
+        evt.preventDefault();
+        this.apply();
+      }
+    }
+
+    /**
+     * Returns the discount codes currently applied to the cart.
+     * @returns {Array}
+     */
+    getAppliedCodes() {
+      return Array.from(this.querySelectorAll('.js-discount-remove'), (btn) => btn.dataset.code);
+    }
+
+    /**
+     * Applies the code entered, along with the codes already applied to the cart.
+     */
+    async apply() {
+      const code = this.input.value.trim();
+      const codes = this.getAppliedCodes();
+      if (!code) return;
+
+      if (codes.some((appliedCode) => appliedCode.toLowerCase() === code.toLowerCase())) {
+        this.input.value = '';
+        return;
+      }
+
+      this.applyBtn.disabled = true;
+      this.applyBtn.classList.add('is-loading');
+
+      const cart = await this.updateCodes([...codes, code]);
+      const result = cart ? (cart.discount_codes || [])
+        .find((discountCode) => discountCode.code.toLowerCase() === code.toLowerCase()) : null;
+
+      // Shopify keeps codes which can't be used (yet), but only applicable codes are shown, so the
+      // code is removed again rather than left on the cart with no way to remove it. The element is
+      // usually replaced by the re-rendered cart by now.
+      if (result && !result.applicable) {
+        await (document.getElementById(this.id) || this).updateCodes(codes);
+      }
+
+      this.applyBtn.classList.remove('is-loading');
+      this.applyBtn.disabled = false;
+      if (!cart) return;
+
+      let error = null;
+
+      if (!result) {
+        error = this.error.dataset.invalid;
+      } else if (!result.applicable) {
+        error = this.error.dataset.notApplicable;
+      }
+
+      const discountEl = document.getElementById(this.id) || this;
+      discountEl.input.value = error ? code : '';
+      if (error) discountEl.showError(error);
+      discountEl.input.focus();
+    }
+
+    /**
+     * Removes a discount code from the cart.
+     * @param {Element} removeBtn - Remove button of the code.
+     */
+    async remove(removeBtn) {
+      const codes = this.getAppliedCodes().filter((code) => code !== removeBtn.dataset.code);
+
+      removeBtn.disabled = true;
+      const cart = await this.updateCodes(codes);
+      removeBtn.disabled = false;
+
+      if (cart) (document.getElementById(this.id) || this).input.focus();
+    }
+
+    /**
+     * Sets the discount codes of the cart, then renders the updated cart sections (which include
+     * this element).
+     * @param {Array} codes - Discount codes to apply.
+     * @returns {Promise<?object>} The updated cart, or null if the update failed.
+     */
+    async updateCodes(codes) {
+      const container = this.closest('cart-drawer') || this.closest('.cc-main-cart');
+      const cartItems = container ? container.querySelector('cart-items') : null;
+      const sections = cartItems
+        ? cartItems.getSectionsToRender().map((section) => section.section)
+        : null;
+
+      this.error.hidden = true;
+
+      try {
+        const { data } = await theme.cartStore.update({ discount: codes.join(',') }, {
+          sections,
+          source: this
+        });
+
+        if (cartItems) cartItems.renderSections(data.sections);
+        return data;
+      } catch (error) {
+        this.showError(/^[0-9]+$/.test(error.message) ? theme.strings.cartError : error.message);
+        console.log(error); // eslint-disable-line
+
+        this.dispatchEvent(new CustomEvent('on:cart:error', {
+          bubbles: true,
+          detail: {
+            error: error.message
+          }
+        }));
+        return null;
+      }
+    }
+
+    /**
+     * Shows an error message below the discount code input.
+     * @param {string} message - Error message.
+     */
+    showError(message) {
+      this.error.textContent = message;
+      this.error.hidden = false;
+    }
+  }
+
+  customElements.define('cart-discount', CartDiscount);
+}
@@ -83,6 +83,7 @@ if (!customElements.get('cart-drawer')) {
     disconnectedCallback() {
       document.removeEventListener('dispatch:cart-drawer:refresh', this.refreshHandler);
       document.removeEventListener('on:bfcache:load-restore', this.refreshHandler);
+      document.removeEventListener('on:cart:change', this.cartChangeHandler);
       document.removeEventListener('dispatch:cart-drawer:open', this.openDrawerViaEventHandler);
       document.removeEventListener('dispatch:cart-drawer:close', this.closeDrawerViaEventHandler);
 
@@ -136,6 +137,30 @@ if (!customElements.get('cart-drawer')) {
       this.refreshHandler = this.refresh.bind(this);
       document.addEventListener('dispatch:cart-drawer:refresh', this.refreshHandler);
       document.addEventListener('on:bfcache:load-restore', this.refreshHandler);
+
+      this.cartChangeHandler = this.handleCartChange.bind(this);
+      document.addEventListener('on:cart:change', this.cartChangeHandler);
+    }
+
+    /**
+     * Handles 'on:cart:change' events from the cart store. Changes which didn't ask for any
+     * sections to be rendered (e.g. those made by custom scripts) leave the drawer to refresh itself.
+     * @param {object} evt - Event object.
+     */
+    handleCartChange(evt) {
+      const { sections, source } = evt.detail;
+      if (sections || CartDrawer.isCheckoutFieldChange(source)) return;
+      this.refresh();
+    }
+
+    /**
+     * Returns whether a cart change was made by the checkout fields (the note and attributes),
+     * which save as the customer types, so re-rendering them would lose what they're typing.
+     * @param {?Element} source - Element which requested the change.
+     * @returns {boolean}
+     */
+    static isCheckoutFieldChange(source) {
+      return source instanceof Element && !!source.closest('checkout-readiness');
     }
 
     /**
@@ -202,9 +227,10 @@ if (!customElements.get('cart-drawer')) {
      */
     async refresh(dontRefreshCartItems) {
       try {
+        // The empty cart has none of the cart items markup, so it's rendered from scratch.
         const cartItems = this.querySelector('cart-items');
-        if (cartItems && !dontRefreshCartItems) {
-          cartItems.refresh();
+        if (cartItems && cartItems.dataset.empty !== 'true' && !dontRefreshCartItems) {
+          await cartItems.refresh();
         } else {
           const response = this.getSectionsToRender().map((section) => section.section);
           const cartResponse = await fetch(`?sections=${response.join(',')}`);
@@ -255,6 +281,11 @@ if (!customElements.get('cart-drawer')) {
         setTimeout(() => this.open());
       }
 
+      // Volume pricing tables are only loaded with the cart items that need them.
+      if (this.querySelector('quantity-breaks') && !document.querySelector(`script[src="${theme.scripts.quantityBreaks}"]`)) {
+        loadScript(theme.scripts.quantityBreaks);
+      }
+
       window.initLazyImages();
     }
 
@@ -1,4 +1,4 @@
-/* global debounce, trapFocus */
+/* global debounce, formatMoney, trapFocus, SavedForLaterUtil */
 
 if (!customElements.get('cart-items')) {
   class CartItems extends HTMLElement {
@@ -7,15 +7,12 @@ if (!customElements.get('cart-items')) {
       if (this.dataset.empty === 'false') this.init();
     }
 
-    init() {
-      this.fetchRequestOpts = {
-        method: 'POST',
-        headers: {
-          Accept: 'application/json',
-          'Content-Type': 'application/json'
-        }
-      };
+    disconnectedCallback() {
+      document.removeEventListener('on:cart:change', this.cartChangeHandler);
+      clearTimeout(this.undoTimer);
+    }
 
+    init() {
       this.cartDrawer = document.getElementById('cart-drawer');
       this.itemStatus = document.getElementById('cart-line-item-status');
       this.currentTotalItemCount = Array.from(this.querySelectorAll('[name="updates[]"]')).reduce(
@@ -28,8 +25,54 @@ if (!customElements.get('cart-items')) {
         this.currentQuantities[item.dataset.variantId] = Number(item.querySelector('.qty-input__input').value);
       });
 
+      this.totalPrice = Number(this.dataset.totalPrice);
+      this.pendingChanges = 0;
+      this.latestData = null;
+      this.lineErrors = {};
+
+      this.queuedChanges = new Map();
+      this.batchEditing = this.dataset.batchEditing === 'true';
+
+      this.debouncedFlushChanges = debounce(this.flushChanges.bind(this));
       this.addEventListener('click', this.handleClick.bind(this));
-      this.addEventListener('change', debounce(this.handleChange.bind(this)));
+      this.addEventListener('change', this.handleChange.bind(this));
+
+      this.cartChangeHandler = this.handleCartChange.bind(this);
+      document.addEventListener('on:cart:change', this.cartChangeHandler);
+
+      // The undo toast sits outside this element, so it isn't re-rendered with the cart items.
+      const container = this.cartDrawer || this.closest('.cc-main-cart');
+      this.undoToast = container ? container.querySelector('.js-cart-undo') : null;
+      if (this.undoToast) {
+        this.undoToast.addEventListener('click', this.handleUndoClick.bind(this));
+      }
+    }
+
+    /**
+     * Handles 'on:cart:change' events from the cart store, keeping the tracked quantities in sync
+     * with changes made elsewhere (e.g. a product form).
+     * @param {object} evt - Event object.
+     */
+    handleCartChange(evt) {
+      const { cart, sections, source } = evt.detail;
+
+      // A removed line can only be added back until the cart changes again.
+      this.hideUndo();
+      if (source === this) return;
+
+      this.currentTotalItemCount = cart.item_count;
+      this.totalPrice = cart.total_price;
+      this.currentQuantities = [];
+      cart.items.forEach((item) => {
+        this.currentQuantities[item.variant_id] = item.quantity;
+      });
+
+      // The cart drawer refreshes its own cart items, the cart page needs a nudge (unless that
+      // would throw away unapplied batch edits, or the checkout field being typed in).
+      const fromCheckoutField = source instanceof Element && !!source.closest('checkout-readiness');
+      if (!sections && !this.cartDrawer && this.queuedChanges.size === 0 && !fromCheckoutField) {
+        this.refresh();
+      }
     }
 
     /**
@@ -37,9 +80,20 @@ if (!customElements.get('cart-items')) {
      * @param {object} evt - Event object.
      */
     handleClick(evt) {
-      if (!evt.target.matches('.js-remove-item')) return;
-      evt.preventDefault();
-      this.updateQuantity(evt.target.dataset.index, 0);
+      if (evt.target.matches('.js-cart-batch-apply')) {
+        this.applyBatch();
+      } else if (evt.target.matches('.js-cart-batch-discard')) {
+        this.discardBatch();
+      } else if (evt.target.matches('.js-remove-item')) {
+        evt.preventDefault();
+        if (this.batchEditing) {
+          this.queueChange(evt.target.dataset.key, 0);
+        } else {
+          this.removeItem(evt.target.dataset.key);
+        }
+      } else if (evt.target.matches('.js-save-for-later')) {
+        this.saveForLater(evt.target.dataset.key);
+      }
     }
 
     /**
@@ -47,96 +101,249 @@ if (!customElements.get('cart-items')) {
      * @param {object} evt - Event object.
      */
     handleChange(evt) {
-      this.updateQuantity(evt.target.dataset.index, evt.target.value, document.activeElement.name);
+      this.queueChange(evt.target.dataset.key, evt.target.value, document.activeElement.name);
+      if (!this.batchEditing) this.debouncedFlushChanges();
     }
 
     /**
-     * Updates the quantity of a line item.
-     * @param {number} line - Line item index.
+     * Queues a quantity change, replacing any unsent change to the same line item. The line is
+     * updated from local data straight away.
+     * @param {string} key - Line item key.
      * @param {number} quantity - Quantity to set.
-     * @param {string} name - Active element name.
+     * @param {string} [name] - Active element name.
      */
-    async updateQuantity(line, quantity, name) {
-      const cartDrawerContent = this.cartDrawer ? this.cartDrawer.querySelector('.drawer__content') : null;
-      const cartDrawerContentScroll = cartDrawerContent ? cartDrawerContent.scrollTop : 0;
-      const cartDrawerScroll = this.cartDrawer ? this.cartDrawer.scrollTop : 0;
+    queueChange(key, quantity, name) {
+      const lineItem = this.getLineItem(key);
+      this.updateLineLocally(lineItem, quantity);
+
+      // In batch mode, a line changed back to its original quantity no longer needs an update.
+      const input = lineItem.querySelector('[name="updates[]"]');
+      if (this.batchEditing && Number(quantity) === Number(input.dataset.initialValue)) {
+        this.queuedChanges.delete(key);
+      } else {
+        this.queuedChanges.set(key, { quantity, name });
+      }
 
-      this.enableLoading(line);
+      if (this.batchEditing) this.updateBatchSummary();
+    }
 
-      // clear all errors except this line's (which will be refreshed after this update)
-      const lineErrorsId = `line-item-error-${line}`;
-      const lineErrors = document.getElementById(lineErrorsId);
-      document.querySelectorAll(`.cart-errors, .cart-item__error:not([id="${lineErrorsId}"])`).forEach((el) => {
-        el.innerHTML = '';
-        el.hidden = true;
-      });
+    /**
+     * Removes a line item, then offers to add it back. Any other queued changes are sent first.
+     * @param {string} key - Line item key.
+     */
+    async removeItem(key) {
+      const lineItem = this.getLineItem(key);
+      const removedLine = {
+        key,
+        index: Array.from(this.querySelectorAll('.cart-item')).indexOf(lineItem),
+        variantId: Number(lineItem.dataset.variantId),
+        quantity: Number(lineItem.querySelector('[name="updates[]"]').dataset.initialValue),
+        properties: JSON.parse(lineItem.dataset.properties || '{}'),
+        sellingPlan: lineItem.dataset.sellingPlan,
+        title: lineItem.querySelector('.js-item-name').textContent.trim()
+      };
 
-      const sections = this.getSectionsToRender().map((section) => section.section);
-      this.fetchRequestOpts.body = JSON.stringify({
-        line,
-        quantity,
-        sections: [...new Set(sections)],
-        sections_url: window.location.pathname
-      });
+      this.queuedChanges.delete(key);
+      this.flushChanges();
 
-      try {
-        const lineItem = document.getElementById(`cart-item-${line}`);
-        const variantId = Number(lineItem.dataset.variantId);
-        const oldTotalQuantity = this.currentTotalItemCount;
-        const response = await fetch(theme.routes.cartChange, this.fetchRequestOpts);
-        const data = await response.json();
+      const removed = await this.updateQuantity(key, 0);
+      if (removed) this.showUndo(removedLine);
+    }
 
-        if (!response.ok) throw new Error(data.errors || response.status);
+    /**
+     * Shows the undo toast for a removed line item, hiding it again after a while.
+     * @param {object} removedLine - Details of the removed line item.
+     */
+    showUndo(removedLine) {
+      if (!this.undoToast) return;
 
-        const newTotalQuantity = data.item_count;
+      this.removedLine = removedLine;
+      this.undoToast.querySelector('.js-cart-undo-message').textContent = theme.strings.cartUndo
+        .removed.replace('[title]', removedLine.title);
+      this.undoToast.hidden = false;
 
-        if (this.cartDrawer) {
-          cartDrawerContent.classList.toggle('drawer__content--flex', newTotalQuantity === 0);
+      clearTimeout(this.undoTimer);
+      this.undoTimer = setTimeout(() => this.hideUndo(), 8000);
+    }
 
-          if (newTotalQuantity === 0) {
-            const recommendations = this.cartDrawer.querySelector('product-recommendations');
-            if (recommendations) recommendations.remove();
-          }
-        } else if (newTotalQuantity === 0) {
-          // We're on the Cart page
-          const cartTitle = this.closest('.cc-main-cart').querySelector('.js-cart-title');
-          if (cartTitle) cartTitle.style.textAlign = 'center';
+    /**
+     * Hides the undo toast.
+     */
+    hideUndo() {
+      if (!this.undoToast || this.undoToast.hidden) return;
+
+      clearTimeout(this.undoTimer);
+      this.undoToast.hidden = true;
+      this.removedLine = null;
+    }
 
-          const cartSummaryCss = document.getElementById('cart-summary-css');
-          if (cartSummaryCss) cartSummaryCss.remove();
+    /**
+     * Handles 'click' events on the undo toast.
+     * @param {object} evt - Event object.
+     */
+    handleUndoClick(evt) {
+      if (evt.target.closest('.js-cart-undo-btn')) {
+        this.undoRemove();
+      } else if (evt.target.closest('.js-cart-undo-close')) {
+        this.hideUndo();
+      }
+    }
 
-          const cartSummary = document.getElementById('cart-summary');
-          if (cartSummary) cartSummary.hidden = true;
-        }
+    /**
+     * Adds the last removed line item back to the cart (with the same quantity, properties and
+     * selling plan), and moves it back to where it was in the list.
+     */
+    async undoRemove() {
+      const line = this.removedLine;
+      if (!line) return;
+
+      this.hideUndo();
+      if (this.itemStatus) this.itemStatus.setAttribute('aria-hidden', 'false');
 
-        this.getSectionsToRender().forEach((section) => {
-          const sectionEl = document.getElementById(section.id);
-          if (!sectionEl) return;
+      const item = {
+        id: line.variantId,
+        quantity: line.quantity,
+        properties: line.properties
+      };
+      if (line.sellingPlan) item.selling_plan = Number(line.sellingPlan);
 
-          const { selector } = section;
-          const el = sectionEl.querySelector(selector) || sectionEl;
-          el.innerHTML = CartItems.getElementHTML(data.sections[section.section], selector);
+      try {
+        const { data, cart } = await theme.cartStore.add({ items: [item] }, {
+          sections: this.getSectionsToRender().map((section) => section.section),
+          source: this
         });
 
-        if (this.cartDrawer && newTotalQuantity === 0) {
-          cartDrawerContent.classList.add('grow', 'flex', 'items-center');
+        this.totalPrice = cart.total_price;
+        this.currentTotalItemCount = cart.item_count;
+        this.currentQuantities[line.variantId] = line.quantity;
 
-          if (this.cartDrawer.querySelector('promoted-products')) {
-            this.cartDrawer
-              .querySelector('.drawer__content')
-              .classList.toggle('drawer__empty-with-promotions', newTotalQuantity === 0);
+        if (this.dataset.empty === 'true') {
+          // The empty cart has none of the cart items markup, so it's rendered from scratch.
+          if (this.cartDrawer) {
+            this.cartDrawer.renderContents(data, false);
+          } else {
+            window.location.reload();
           }
+        } else {
+          this.renderChanges({ ...cart, sections: data.sections }, line.key);
+          this.restoreLinePosition(line.key, line.index);
         }
 
-        window.initLazyImages();
-        this.updateRecommendations(data.item_count > 0 ? data.items[0].product_id : null);
-        this.updateLiveRegions();
-        this.setFocus(line, newTotalQuantity, name);
-        this.dataset.empty = newTotalQuantity === 0;
-        this.currentTotalItemCount = newTotalQuantity;
+        this.dispatchEvent(new CustomEvent('on:cart:add', {
+          bubbles: true,
+          detail: {
+            cart,
+            variantId: line.variantId
+          }
+        }));
+      } catch (error) {
+        const cartErrors = document.getElementById('cart-errors');
+        if (cartErrors) {
+          cartErrors.textContent = /^[0-9]+$/.test(error.message) ? theme.strings.cartError : error.message;
+          cartErrors.hidden = false;
+        }
+        if (this.itemStatus) this.itemStatus.setAttribute('aria-hidden', 'true');
+        console.log(error); // eslint-disable-line
+
+        this.dispatchEvent(new CustomEvent('on:cart:error', {
+          bubbles: true,
+          detail: {
+            error: error.message
+          }
+        }));
+      }
+    }
+
+    /**
+     * Moves a line item back to its previous position in the list. The Cart API always adds
+     * lines to the top of the cart, so this only lasts until the cart items are next rendered.
+     * @param {string} key - Line item key.
+     * @param {number} index - Previous index of the line item.
+     */
+    restoreLinePosition(key, index) {
+      const lineItem = this.getLineItem(key);
+      if (!lineItem || index < 0) return;
+
+      const otherLines = Array.from(this.querySelectorAll('.cart-item'))
+        .filter((line) => line !== lineItem);
+
+      if (otherLines[index]) {
+        otherLines[index].before(lineItem);
+      } else if (otherLines.length > 0) {
+        otherLines[otherLines.length - 1].after(lineItem);
+      }
+    }
+
+    /**
+     * Moves a line item to the saved for later list. The line is removed from the cart straight
+     * away (even in batch mode), and the list is restored if the removal fails.
+     * @param {string} key - Line item key.
+     */
+    async saveForLater(key) {
+      const lineItem = this.getLineItem(key);
+      const input = lineItem.querySelector('[name="updates[]"]');
+      const savedItems = SavedForLaterUtil.getItems();
+
+      SavedForLaterUtil.addItem({
+        key,
+        variantId: Number(lineItem.dataset.variantId),
+        quantity: Number(input.value),
+        properties: JSON.parse(lineItem.dataset.properties),
+        url: lineItem.dataset.url
+      });
+
+      this.queuedChanges.delete(key);
+      if (this.batchEditing) this.updateBatchSummary();
+
+      const removed = await this.updateQuantity(key, 0);
+      if (!removed) SavedForLaterUtil.setItems(savedItems);
+    }
+
+    /**
+     * Sends all queued changes. The cart store runs them one at a time, in the order they were
+     * queued.
+     */
+    flushChanges() {
+      this.queuedChanges.forEach(({ quantity, name }, key) => {
+        this.updateQuantity(key, quantity, name);
+      });
+      this.queuedChanges.clear();
+    }
+
+    /**
+     * Applies all batch edits in a single '/cart/update.js' request.
+     */
+    async applyBatch() {
+      if (this.queuedChanges.size === 0) return;
+
+      const applyBtn = this.querySelector('.js-cart-batch-apply');
+      const cartErrors = document.getElementById('cart-errors');
+      const changes = new Map(this.queuedChanges);
+      const updates = {};
+      let lastKey;
+
+      changes.forEach(({ quantity }, key) => {
+        updates[key] = Number(quantity);
+        lastKey = key;
+      });
+
+      applyBtn.setAttribute('aria-disabled', 'true');
+      applyBtn.classList.add('is-loading');
+      if (this.itemStatus) this.itemStatus.setAttribute('aria-hidden', 'false');
+
+      try {
+        const { data } = await theme.cartStore.update({ updates }, {
+          sections: this.getSectionsToRender().map((section) => section.section),
+          source: this
+        });
+
+        this.queuedChanges.clear();
+        this.totalPrice = data.total_price;
+        this.currentTotalItemCount = data.item_count;
+
+        changes.forEach(({ quantity }, key) => {
+          const variantId = Number(this.getLineItem(key).dataset.variantId);
 
-        // Fire the on:line-item:change event if the line item quantity has changed
-        if (oldTotalQuantity !== newTotalQuantity) {
           this.dispatchEvent(new CustomEvent('on:line-item:change', {
             bubbles: true,
             detail: {
@@ -146,48 +353,293 @@ if (!customElements.get('cart-items')) {
               newQuantity: Number(quantity)
             }
           }));
-        }
 
-        this.currentQuantities[variantId] = Number(quantity);
+          this.currentQuantities[variantId] = Number(quantity);
+        });
 
-        lineErrors.innerHTML = '';
-        lineErrors.hidden = true;
+        this.renderChanges(data, lastKey);
       } catch (error) {
-        if (/^[0-9]+$/.test(error.message)) {
-          lineErrors.textContent = theme.strings.cartError;
-        } else {
-          lineErrors.textContent = error.message;
+        // Keep the edits, so the customer can correct them and try again.
+        if (cartErrors) {
+          cartErrors.textContent = /^[0-9]+$/.test(error.message) ? theme.strings.cartError : error.message;
+          cartErrors.hidden = false;
         }
-        lineErrors.hidden = false;
         console.log(error); // eslint-disable-line
 
-        this.querySelectorAll('.cart-item__loader').forEach((loader) => {
-          loader.hidden = true;
+        this.dispatchEvent(new CustomEvent('on:cart:error', {
+          bubbles: true,
+          detail: {
+            error: error.message
+          }
+        }));
+
+        applyBtn.removeAttribute('aria-disabled');
+        applyBtn.classList.remove('is-loading');
+        if (this.itemStatus) this.itemStatus.setAttribute('aria-hidden', 'true');
+      }
+    }
+
+    /**
+     * Discards all batch edits, restoring each line to its last confirmed quantity.
+     */
+    discardBatch() {
+      this.queuedChanges.forEach((change, key) => {
+        const lineItem = this.getLineItem(key);
+        this.rollbackLine(lineItem, lineItem.querySelector('[name="updates[]"]'));
+      });
+
+      this.queuedChanges.clear();
+      this.updateBatchSummary();
+    }
+
+    /**
+     * Shows/hides the pending batch edits summary.
+     */
+    updateBatchSummary() {
+      const batch = this.querySelector('.js-cart-batch');
+      if (!batch) return;
+
+      const count = this.queuedChanges.size;
+      const { pending } = theme.strings.cartBatch;
+      const pluralForm = new Intl.PluralRules(document.documentElement.lang).select(count);
+      const summary = pending[pluralForm] || pending.other;
+
+      batch.hidden = count === 0;
+      batch.querySelector('.js-cart-batch-summary').textContent = summary
+        .replace('[quantity]', count);
+    }
+
+    /**
+     * Updates the quantity of a line item. Lines are targeted by key rather than index, as indexes
+     * shift when an earlier line is removed. The line is updated optimistically and the server
+     * response is only rendered once no other changes are pending or queued, so edits to other
+     * lines are kept. If the change is rejected, only this line is rolled back.
+     * @param {string} key - Line item key.
+     * @param {number} quantity - Quantity to set.
+     * @param {string} [name] - Active element name.
+     * @returns {Promise<boolean>} Whether the change was accepted.
+     */
+    async updateQuantity(key, quantity, name) {
+      const lineItem = this.getLineItem(key);
+      if (!lineItem) return false;
+
+      const input = lineItem.querySelector('[name="updates[]"]');
+      const variantId = Number(lineItem.dataset.variantId);
+      const loader = lineItem.querySelector('.cart-item__loader');
+
+      this.setLineError(key, false);
+      this.updateLineLocally(lineItem, quantity);
+      this.pendingChanges += 1;
+
+      if (loader) loader.hidden = false;
+      if (this.itemStatus) this.itemStatus.setAttribute('aria-hidden', 'false');
+
+      const cartErrors = document.getElementById('cart-errors');
+      if (cartErrors) {
+        cartErrors.innerHTML = '';
+        cartErrors.hidden = true;
+      }
+
+      const sections = this.getSectionsToRender().map((section) => section.section);
+
+      try {
+        const { data } = await theme.cartStore.change({ id: key, quantity }, {
+          sections,
+          source: this
         });
 
+        input.dataset.initialValue = quantity;
+        this.totalPrice = data.total_price;
+        this.latestData = data;
+
+        // Fire the on:line-item:change event if the line item quantity has changed
+        if (this.currentTotalItemCount !== data.item_count) {
+          this.dispatchEvent(new CustomEvent('on:line-item:change', {
+            bubbles: true,
+            detail: {
+              cart: data,
+              variantId,
+              oldQuantity: this.currentQuantities[variantId],
+              newQuantity: Number(quantity)
+            }
+          }));
+        }
+
+        this.currentTotalItemCount = data.item_count;
+        this.currentQuantities[variantId] = Number(quantity);
+        return true;
+      } catch (error) {
+        this.rollbackLine(lineItem, input);
+        this.setLineError(
+          key,
+          /^[0-9]+$/.test(error.message) ? theme.strings.cartError : error.message
+        );
+        console.log(error); // eslint-disable-line
+
         this.dispatchEvent(new CustomEvent('on:cart:error', {
           bubbles: true,
           detail: {
             error: error.message
           }
         }));
-
-        const input = document.getElementById(`quantity-${line}`);
-        input.value = input.dataset.initialValue;
-        input.closest('quantity-input').currentQty = input.dataset.initialValue;
+        return false;
       } finally {
-        this.classList.remove('pointer-events-none');
-
-        // Attempt to maintain the same scroll position in the cart drawer
-        if (cartDrawerContent) {
-          requestAnimationFrame(() => { cartDrawerContent.scrollTop = cartDrawerContentScroll; });
-          setTimeout(() => { cartDrawerContent.scrollTop = cartDrawerContentScroll; }, 0);
-          requestAnimationFrame(() => { this.cartDrawer.scrollTop = cartDrawerScroll; });
-          setTimeout(() => { this.cartDrawer.scrollTop = cartDrawerScroll; }, 0);
+        if (loader) loader.hidden = true;
+        this.pendingChanges -= 1;
+
+        if (this.pendingChanges === 0 && this.queuedChanges.size === 0) {
+          if (this.latestData) {
+            this.renderChanges(this.latestData, key, name);
+          } else if (this.itemStatus) {
+            this.itemStatus.setAttribute('aria-hidden', 'true');
+          }
+
+          this.latestData = null;
         }
       }
     }
 
+    /**
+     * Renders the sections returned by the last successful change.
+     * @param {object} data - Cart data, including the rendered sections.
+     * @param {string} key - Key of the last changed line item.
+     * @param {string} [name] - Active element name.
+     */
+    renderChanges(data, key, name) {
+      const cartDrawerContent = this.cartDrawer ? this.cartDrawer.querySelector('.drawer__content') : null;
+      const cartDrawerContentScroll = cartDrawerContent ? cartDrawerContent.scrollTop : 0;
+      const cartDrawerScroll = this.cartDrawer ? this.cartDrawer.scrollTop : 0;
+      const newTotalQuantity = data.item_count;
+
+      if (this.cartDrawer) {
+        cartDrawerContent.classList.toggle('drawer__content--flex', newTotalQuantity === 0);
+
+        if (newTotalQuantity === 0) {
+          const recommendations = this.cartDrawer.querySelector('product-recommendations');
+          if (recommendations) recommendations.remove();
+        }
+      } else if (newTotalQuantity === 0) {
+        // We're on the Cart page
+        const cartTitle = this.closest('.cc-main-cart').querySelector('.js-cart-title');
+        if (cartTitle) cartTitle.style.textAlign = 'center';
+
+        const cartSummaryCss = document.getElementById('cart-summary-css');
+        if (cartSummaryCss) cartSummaryCss.remove();
+
+        const cartSummary = document.getElementById('cart-summary');
+        if (cartSummary) cartSummary.hidden = true;
+      }
+
+      this.renderSections(data.sections);
+
+      if (this.cartDrawer && newTotalQuantity === 0) {
+        cartDrawerContent.classList.add('grow', 'flex', 'items-center');
+
+        if (this.cartDrawer.querySelector('promoted-products')) {
+          this.cartDrawer
+            .querySelector('.drawer__content')
+            .classList.toggle('drawer__empty-with-promotions', newTotalQuantity === 0);
+        }
+      }
+
+      // Errors of rolled back lines would otherwise be lost in the re-render.
+      Object.entries(this.lineErrors).forEach(([errorKey, message]) => {
+        this.setLineError(errorKey, message);
+      });
+
+      window.initLazyImages();
+      this.updateRecommendations(data.item_count > 0 ? data.items[0].product_id : null);
+      this.updateLiveRegions();
+      this.setFocus(key, newTotalQuantity, name);
+      this.dataset.empty = newTotalQuantity === 0;
+
+      // Attempt to maintain the same scroll position in the cart drawer
+      if (cartDrawerContent) {
+        requestAnimationFrame(() => { cartDrawerContent.scrollTop = cartDrawerContentScroll; });
+        setTimeout(() => { cartDrawerContent.scrollTop = cartDrawerContentScroll; }, 0);
+        requestAnimationFrame(() => { this.cartDrawer.scrollTop = cartDrawerScroll; });
+        setTimeout(() => { this.cartDrawer.scrollTop = cartDrawerScroll; }, 0);
+      }
+    }
+
+    /**
+     * Updates a line item's quantity, line price and the cart subtotal from local data, ahead of
+     * the server response.
+     * @param {Element} lineItem - Line item element.
+     * @param {number} quantity - New quantity.
+     */
+    updateLineLocally(lineItem, quantity) {
+      if (!lineItem) return;
+
+      const qty = Number(quantity);
+      const priceCurrentEl = lineItem.querySelector('.cart-item__total .price__current');
+      const priceWasEl = lineItem.querySelector('.cart-item__total .price__was');
+      const taxPriceEl = lineItem.querySelector('.cart-item__total tax-price');
+
+      if (priceCurrentEl) priceCurrentEl.innerHTML = formatMoney(lineItem.dataset.finalPrice * qty);
+      if (priceWasEl) priceWasEl.innerHTML = formatMoney(lineItem.dataset.wasPrice * qty);
+      if (taxPriceEl) taxPriceEl.setPrice(lineItem.dataset.finalPrice * qty);
+      lineItem.hidden = qty === 0;
+
+      this.updateSubtotal();
+    }
+
+    /**
+     * Restores a line item to its last confirmed quantity.
+     * @param {Element} lineItem - Line item element.
+     * @param {Element} input - Quantity input of the line item.
+     */
+    rollbackLine(lineItem, input) {
+      input.value = input.dataset.initialValue;
+      input.closest('quantity-input').currentQty = input.dataset.initialValue;
+      this.updateLineLocally(lineItem, input.dataset.initialValue);
+    }
+
+    /**
+     * Updates the cart subtotal elements, using the last confirmed total plus any unconfirmed
+     * quantity changes.
+     */
+    updateSubtotal() {
+      const total = Array.from(this.querySelectorAll('.cart-item')).reduce((sum, lineItem) => {
+        const input = lineItem.querySelector('[name="updates[]"]');
+        const diff = Number(input.value) - Number(input.dataset.initialValue);
+        return sum + diff * lineItem.dataset.finalPrice;
+      }, this.totalPrice);
+
+      document.querySelectorAll('.js-cart-subtotal').forEach((el) => {
+        el.innerHTML = formatMoney(total, theme.settings.moneyWithCurrencyFormat);
+      });
+    }
+
+    /**
+     * Gets a line item element.
+     * @param {string} key - Line item key.
+     * @returns {?Element}
+     */
+    getLineItem(key) {
+      return this.querySelector(`.cart-item[data-key="${key}"]`);
+    }
+
+    /**
+     * Shows/hides the error message of a line item.
+     * @param {string} key - Line item key.
+     * @param {(string|boolean)} message - Error message, or false to hide it.
+     */
+    setLineError(key, message) {
+      const lineItem = this.getLineItem(key);
+      const lineErrors = lineItem ? lineItem.querySelector('.cart-item__error') : null;
+
+      if (message) {
+        this.lineErrors[key] = message;
+      } else {
+        delete this.lineErrors[key];
+      }
+
+      if (!lineErrors) return;
+      lineErrors.textContent = message || '';
+      lineErrors.hidden = !message;
+    }
+
     /**
      * Refreshes the cart by rerendering its sections and updating its product recommendations.
      */
@@ -207,13 +659,7 @@ if (!customElements.get('cart-items')) {
 
         if (!response.ok) throw new Error(response.status);
 
-        this.getSectionsToRender().forEach((section) => {
-          const sectionEl = document.getElementById(section.id);
-          if (!sectionEl) return;
-
-          const el = sectionEl.querySelector(section.selector) || sectionEl;
-          el.innerHTML = CartItems.getElementHTML(data[section.section], section.selector);
-        });
+        this.renderSections(data);
 
         const firstCartItem = this.querySelector('.cart-item:first-child');
         this.updateRecommendations(firstCartItem ? firstCartItem.dataset.productId : null);
@@ -236,6 +682,21 @@ if (!customElements.get('cart-items')) {
       }
     }
 
+    /**
+     * Renders the sections returned by a Cart API request (or the Section Rendering API).
+     * @param {object} sections - Rendered sections HTML, keyed by section id.
+     */
+    renderSections(sections) {
+      this.getSectionsToRender().forEach((section) => {
+        const sectionEl = document.getElementById(section.id);
+        if (!sectionEl) return;
+
+        const { selector } = section;
+        const el = sectionEl.querySelector(selector) || sectionEl;
+        el.innerHTML = CartItems.getElementHTML(sections[section.section], selector);
+      });
+    }
+
     /**
      * Returns an array of objects containing required section details.
      * @returns {Array}
@@ -246,16 +707,13 @@ if (!customElements.get('cart-items')) {
           id: 'cart-icon-bubble',
           section: 'cart-icon-bubble',
           selector: '.shopify-section'
-        },
-        {
-          id: 'free-shipping-notice',
-          section: 'free-shipping-notice',
-          selector: '.free-shipping-notice'
         }
       ];
 
-      if (this.cartDrawer) {
-        const cartDrawerId = this.cartDrawer.closest('.shopify-section').id.replace('shopify-section-', '');
+      // Cart items which haven't been initialised (i.e. the empty cart) have no cartDrawer set.
+      const cartDrawer = this.cartDrawer || this.closest('cart-drawer');
+      if (cartDrawer) {
+        const cartDrawerId = cartDrawer.closest('.shopify-section').id.replace('shopify-section-', '');
         sections = [
           ...sections,
           {
@@ -286,13 +744,18 @@ if (!customElements.get('cart-items')) {
             id: 'cart-items',
             section: this.dataset.section,
             selector: 'cart-items'
-          },
-          {
-            id: 'cart-summary',
-            section: document.getElementById('cart-summary').dataset.section,
-            selector: '.cart__summary'
           }
         ];
+
+        // The summary is only rendered while the cart has items.
+        const cartSummary = document.getElementById('cart-summary');
+        if (cartSummary) {
+          sections.push({
+            id: 'cart-summary',
+            section: cartSummary.dataset.section,
+            selector: '.cart__summary'
+          });
+        }
       }
 
       return sections;
@@ -312,20 +775,6 @@ if (!customElements.get('cart-items')) {
       return el ? el.innerHTML : '';
     }
 
-    /**
-     * Shows a loading icon over a line item.
-     * @param {string} line - Line item index.
-     */
-    enableLoading(line) {
-      this.classList.add('pointer-events-none');
-
-      const loader = this.querySelector(`#cart-item-${line} .cart-item__loader`);
-      if (loader) loader.hidden = false;
-
-      document.activeElement.blur();
-      if (this.itemStatus) this.itemStatus.setAttribute('aria-hidden', 'false');
-    }
-
     /**
      * Updates the cart recommendations.
      * @param {string} productId - The product id for which to find recommendations.
@@ -358,12 +807,12 @@ if (!customElements.get('cart-items')) {
 
     /**
      * Traps focus in the relevant container or focuses the active element.
-     * @param {number} line - Line item index.
+     * @param {string} key - Line item key.
      * @param {number} itemCount - Item count.
-     * @param {string} name - Active element name.
+     * @param {string} [name] - Active element name.
      */
-    setFocus(line, itemCount, name) {
-      const lineItem = document.getElementById(`cart-item-${line}`);
+    setFocus(key, itemCount, name) {
+      const lineItem = this.getLineItem(key);
       let activeEl;
 
       if (lineItem) {
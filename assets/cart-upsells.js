@@ -0,0 +1,266 @@
+/**
+ * Dependencies:
+ * - formatMoney()
+ *
+ * Required translation strings:
+ * - cartError
+ */
+
+if (!customElements.get('cart-upsells')) {
+  class CartUpsells extends HTMLElement {
+    constructor() {
+      super();
+      this.items = this.querySelectorAll('.js-upsell-item');
+      this.itemsList = this.querySelector('.js-upsell-items');
+      this.errorMsg = this.querySelector('.js-upsell-error');
+      this.rules = JSON.parse(this.querySelector('.js-upsell-rules').textContent);
+      this.cartDrawer = this.closest('cart-drawer');
+      this.productTags = new Map();
+
+      this.addEventListener('change', this.handleVariantChange.bind(this));
+      this.addEventListener('click', this.handleClick.bind(this));
+    }
+
+    connectedCallback() {
+      this.cartChangeHandler = this.handleCartChange.bind(this);
+      document.addEventListener('on:cart:change', this.cartChangeHandler);
+
+      const cart = theme.cartStore.getCart();
+      if (cart) {
+        this.update(cart);
+      } else if (Number(this.dataset.itemCount) > 0) {
+        this.fetchCart();
+      }
+    }
+
+    disconnectedCallback() {
+      document.removeEventListener('on:cart:change', this.cartChangeHandler);
+    }
+
+    /**
+     * Handles 'on:cart:change' events from the cart store, re-evaluating the rules.
+     * @param {object} evt - Event object.
+     */
+    handleCartChange(evt) {
+      this.update(evt.detail.cart);
+    }
+
+    /**
+     * Fetches the cart JSON, for when no cart mutation has happened on the page yet.
+     */
+    async fetchCart() {
+      try {
+        const response = await fetch(`${theme.routes.cart}.js`);
+        if (!response.ok) throw new Error(response.status);
+        this.update(await response.json());
+      } catch (error) {
+        console.log(error); // eslint-disable-line
+      }
+    }
+
+    /**
+     * Evaluates the rules against the cart and shows the products they offer.
+     * @param {object} cart - Cart JSON.
+     */
+    async update(cart) {
+      // A later cart change may finish evaluating first, so only the latest one is rendered.
+      this.updateCount = (this.updateCount || 0) + 1;
+      const updateCount = this.updateCount;
+
+      let productIds = [];
+      if (cart.item_count > 0) {
+        const results = await Promise.all(this.rules.map((rule) => this.getOffer(rule, cart)));
+        productIds = [...new Set(results.flat())];
+      }
+
+      if (updateCount !== this.updateCount) return;
+
+      const cartProductIds = cart.items.map((item) => item.product_id);
+      const offeredItems = productIds
+        .filter((id) => !cartProductIds.includes(id))
+        .map((id) => this.itemsList.querySelector(`[data-product-id="${id}"]`))
+        .filter((item) => item)
+        .slice(0, Number(this.dataset.limit));
+
+      this.items.forEach((item) => {
+        item.hidden = !offeredItems.includes(item);
+      });
+      offeredItems.forEach((item) => this.itemsList.appendChild(item));
+
+      this.hidden = offeredItems.length === 0;
+    }
+
+    /**
+     * Gets the ids of the products a rule offers for a cart (none if the cart doesn't match it).
+     * @param {object} rule - Rule data.
+     * @param {object} cart - Cart JSON.
+     * @returns {Promise<Array>}
+     */
+    async getOffer(rule, cart) {
+      switch (rule.condition) {
+        case 'product':
+          return cart.items.some((item) => item.product_id === rule.productId) ? rule.products : [];
+        case 'vendor':
+          return cart.items.some((item) => item.vendor.toLowerCase() === rule.value)
+            ? rule.products : [];
+        case 'type':
+          return cart.items.some((item) => item.product_type.toLowerCase() === rule.value)
+            ? rule.products : [];
+        case 'tag': {
+          const itemTags = await Promise.all(cart.items.map((item) => this.getProductTags(item)));
+          return itemTags.some((tags) => tags.includes(rule.value)) ? rule.products : [];
+        }
+        case 'subtotal_below': {
+          const amount = Math.round(rule.amount * 100 * CartUpsells.getCurrencyRate());
+          return cart.total_price < amount ? rule.products : [];
+        }
+        case 'free_shipping_gap': {
+          const minimum = Number(this.dataset.freeShippingMinimum);
+          if (!minimum || cart.total_price >= minimum) return [];
+          return this.sortByGap(rule.products, minimum - cart.total_price);
+        }
+        default:
+          return [];
+      }
+    }
+
+    /**
+     * Sorts products so those which close a gap come first (cheapest first), followed by those
+     * which come closest to it.
+     * @param {Array} productIds - Product ids.
+     * @param {number} gap - Amount (in cents) to close.
+     * @returns {Array}
+     */
+    sortByGap(productIds, gap) {
+      const getPrice = (id) => {
+        const item = this.itemsList.querySelector(`[data-product-id="${id}"]`);
+        return item ? Number(item.dataset.price) : 0;
+      };
+
+      const closing = productIds.filter((id) => getPrice(id) >= gap)
+        .sort((a, b) => getPrice(a) - getPrice(b));
+      const others = productIds.filter((id) => getPrice(id) < gap)
+        .sort((a, b) => getPrice(b) - getPrice(a));
+
+      return [...closing, ...others];
+    }
+
+    /**
+     * Gets the (lowercase) tags of the product of a cart item. Cart JSON doesn't include tags, so
+     * they're fetched from the product JSON and cached.
+     * @param {object} item - Cart item JSON.
+     * @returns {Promise<Array>}
+     */
+    async getProductTags(item) {
+      if (!this.productTags.has(item.product_id)) {
+        const request = fetch(`${item.url.split('?')[0]}.js`)
+          .then((response) => {
+            if (!response.ok) throw new Error(response.status);
+            return response.json();
+          })
+          .then((product) => product.tags.map((tag) => tag.toLowerCase()))
+          .catch((error) => {
+            console.log(error); // eslint-disable-line
+            this.productTags.delete(item.product_id);
+            return [];
+          });
+
+        this.productTags.set(item.product_id, request);
+      }
+
+      return this.productTags.get(item.product_id);
+    }
+
+    /**
+     * Handles 'change' events on the variant selectors.
+     * @param {object} evt - Event object.
+     */
+    handleVariantChange(evt) {
+      if (!evt.target.matches('.js-upsell-variant')) return;
+
+      const item = evt.target.closest('.js-upsell-item');
+      const option = evt.target.selectedOptions[0];
+
+      item.dataset.variantId = option.value;
+      item.dataset.price = option.dataset.price;
+      item.querySelector('.js-upsell-price').innerHTML = formatMoney(Number(option.dataset.price));
+    }
+
+    /**
+     * Handles 'click' events on the upsells element.
+     * @param {object} evt - Event object.
+     */
+    handleClick(evt) {
+      const addBtn = evt.target.closest('.js-upsell-add');
+      if (addBtn) this.addToCart(addBtn.closest('.js-upsell-item'), addBtn);
+    }
+
+    /**
+     * Adds the selected variant of an offered product to the cart, without leaving the drawer.
+     * @param {Element} item - Item element.
+     * @param {Element} addBtn - "Add" button of the item.
+     */
+    async addToCart(item, addBtn) {
+      if (addBtn.getAttribute('aria-disabled') === 'true') return;
+
+      this.errorMsg.hidden = true;
+      addBtn.setAttribute('aria-disabled', 'true');
+      addBtn.classList.add('is-loading');
+
+      const variantId = Number(item.dataset.variantId);
+      const sections = [
+        'cart-icon-bubble',
+        this.cartDrawer.closest('.shopify-section').id.replace('shopify-section-', '')
+      ];
+
+      try {
+        const { data, cart } = await theme.cartStore.add({
+          items: [{ id: variantId, quantity: 1 }]
+        }, {
+          sections,
+          source: this
+        });
+
+        const cartIconBubble = document.getElementById('cart-icon-bubble');
+        if (cartIconBubble) {
+          cartIconBubble.innerHTML = data.sections['cart-icon-bubble'];
+        }
+
+        this.cartDrawer.renderContents(data, false);
+
+        this.dispatchEvent(new CustomEvent('on:cart:add', {
+          bubbles: true,
+          detail: {
+            cart,
+            variantId
+          }
+        }));
+      } catch (error) {
+        this.errorMsg.textContent = /^[0-9]+$/.test(error.message)
+          ? theme.strings.cartError : error.message;
+        this.errorMsg.hidden = false;
+
+        console.log(error); // eslint-disable-line
+        this.dispatchEvent(new CustomEvent('on:cart:error', {
+          bubbles: true,
+          detail: {
+            error: this.errorMsg.textContent
+          }
+        }));
+      } finally {
+        addBtn.removeAttribute('aria-disabled');
+        addBtn.classList.remove('is-loading');
+      }
+    }
+
+    /**
+     * Returns the rate used to convert amounts from the shop currency to the cart currency.
+     * @returns {number}
+     */
+    static getCurrencyRate() {
+      return window.Shopify && Shopify.currency ? Number(Shopify.currency.rate) || 1 : 1;
+    }
+  }
+
+  customElements.define('cart-upsells', CartUpsells);
+}
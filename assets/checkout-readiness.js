@@ -0,0 +1,300 @@
+/**
+ * Required translation strings:
+ * - addCartNote
+ * - editCartNote
+ * - cartTermsConfirmation
+ * - checkoutReadiness
+ */
+
+if (!customElements.get('checkout-readiness')) {
+  class CheckoutReadiness extends HTMLElement {
+    constructor() {
+      super();
+      this.form = document.getElementById(this.dataset.formId);
+      this.fields = this.querySelectorAll('.js-checkout-field');
+      this.termsCheckbox = this.querySelector('.js-cart-terms-checkbox');
+      this.requirements = this.querySelector('.js-checkout-requirements');
+      this.requirementsList = this.querySelector('.js-checkout-requirements-list');
+      this.noteToggle = this.querySelector('.js-show-note');
+      this.checkoutBtn = this.querySelector('[name="checkout"]');
+      this.saveTimers = new Map();
+      this.saveRequests = new Map();
+      this.savedValues = new Map();
+
+      this.addEventListener('input', this.handleInput.bind(this));
+      this.addEventListener('change', this.handleChange.bind(this));
+    }
+
+    connectedCallback() {
+      if (!this.form) return;
+
+      // The fields are validated here, so messages can be shown in the customer's language.
+      this.form.noValidate = true;
+
+      this.submitHandler = this.handleSubmit.bind(this);
+      this.form.addEventListener('submit', this.submitHandler);
+
+      // Customers can't pick a delivery date in the past (in their timezone).
+      this.fields.forEach((field) => {
+        if (field.type === 'date') field.min = CheckoutReadiness.formatDate(new Date());
+      });
+    }
+
+    disconnectedCallback() {
+      if (this.submitHandler) this.form.removeEventListener('submit', this.submitHandler);
+    }
+
+    /**
+     * Handles 'input' events on the fields, saving them once the customer stops typing.
+     * @param {object} evt - Event object.
+     */
+    handleInput(evt) {
+      if (!evt.target.matches('.js-checkout-field')) return;
+
+      const field = evt.target;
+      CheckoutReadiness.setStatus(field, 'unsaved');
+      this.updateNoteToggle(field);
+
+      clearTimeout(this.saveTimers.get(field));
+      this.saveTimers.set(field, setTimeout(() => this.save(field), 300));
+
+      const error = document.getElementById(`${field.id}-error`);
+      if (!error.hidden) CheckoutReadiness.validateField(field);
+      if (!this.requirements.hidden) this.renderRequirements();
+    }
+
+    /**
+     * Handles 'change' events on the fields and terms checkbox.
+     * @param {object} evt - Event object.
+     */
+    handleChange(evt) {
+      if (evt.target === this.termsCheckbox) {
+        if (!this.requirements.hidden) this.renderRequirements();
+        return;
+      }
+
+      if (!evt.target.matches('.js-checkout-field')) return;
+
+      // Selects and date pickers don't fire 'input' events in every browser.
+      if (!this.saveTimers.has(evt.target)) this.save(evt.target);
+
+      CheckoutReadiness.validateField(evt.target);
+      if (!this.requirements.hidden) this.renderRequirements();
+    }
+
+    /**
+     * Handles 'submit' events on the cart form, blocking checkout until every requirement is met.
+     * @param {object} evt - Event object.
+     */
+    handleSubmit(evt) {
+      const unmet = this.renderRequirements(true);
+      if (unmet.length === 0) return;
+
+      evt.preventDefault();
+
+      const firstInvalid = unmet.find((requirement) => requirement.field);
+      if (firstInvalid) {
+        CheckoutReadiness.revealField(firstInvalid.field);
+      } else {
+        this.requirements.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+      }
+    }
+
+    /**
+     * Shows a list of the requirements which aren't met (or hides it if there are none).
+     * @param {boolean} [showFieldErrors=false] - Show the error message of each invalid field.
+     * @returns {Array} The unmet requirements.
+     */
+    renderRequirements(showFieldErrors = false) {
+      const unmet = [];
+
+      this.fields.forEach((field) => {
+        const reason = showFieldErrors
+          ? CheckoutReadiness.validateField(field)
+          : CheckoutReadiness.getInvalidReason(field);
+
+        if (reason) {
+          unmet.push({ field, message: CheckoutReadiness.getErrorMessage(field, reason) });
+        }
+      });
+
+      if (this.termsCheckbox && !this.termsCheckbox.checked) {
+        unmet.push({ field: null, message: theme.strings.cartTermsConfirmation });
+      }
+
+      this.requirementsList.innerHTML = '';
+      unmet.forEach((requirement) => {
+        const item = document.createElement('li');
+        item.textContent = requirement.message;
+        this.requirementsList.appendChild(item);
+      });
+
+      this.requirements.hidden = unmet.length === 0;
+      if (this.checkoutBtn) {
+        if (unmet.length > 0) {
+          this.checkoutBtn.setAttribute('aria-describedby', this.requirements.id);
+        } else {
+          this.checkoutBtn.removeAttribute('aria-describedby');
+        }
+      }
+
+      return unmet;
+    }
+
+    /**
+     * Saves the value of a field as the cart note or a cart attribute. Invalid values aren't saved
+     * (they're submitted with the cart form once they're fixed).
+     * @param {Element} field - Field element.
+     */
+    async save(field) {
+      clearTimeout(this.saveTimers.get(field));
+      this.saveTimers.delete(field);
+
+      // Some fields are saved by the component they belong to (e.g. the delivery-picker).
+      if (field.dataset.savedBy) return;
+
+      const { value } = field;
+      if (value && CheckoutReadiness.getInvalidReason(field)) return;
+      if (this.savedValues.get(field) === value) {
+        CheckoutReadiness.setStatus(field, 'saved');
+        return;
+      }
+
+      const body = field.name === 'note'
+        ? { note: value }
+        : { attributes: { [field.dataset.attribute]: value } };
+
+      // Only the latest request for a field updates its status.
+      const requestId = (this.saveRequests.get(field) || 0) + 1;
+      this.saveRequests.set(field, requestId);
+      CheckoutReadiness.setStatus(field, 'saving');
+
+      try {
+        await theme.cartStore.update(body, { source: this });
+        if (this.saveRequests.get(field) !== requestId) return;
+
+        this.savedValues.set(field, value);
+        CheckoutReadiness.setStatus(field, field.value === value ? 'saved' : 'unsaved');
+      } catch (error) {
+        if (this.saveRequests.get(field) === requestId) {
+          CheckoutReadiness.setStatus(field, 'saveError');
+        }
+        console.log(error); // eslint-disable-line
+      }
+    }
+
+    /**
+     * Updates the "Add/Edit order note" toggle to reflect whether the cart has a note.
+     * @param {Element} field - Field element.
+     */
+    updateNoteToggle(field) {
+      if (field.name !== 'note' || !this.noteToggle) return;
+
+      const label = field.value ? theme.strings.editCartNote : theme.strings.addCartNote;
+      if (this.noteToggle.textContent !== label) this.noteToggle.textContent = label;
+    }
+
+    /**
+     * Checks a field against its constraints, showing/hiding its error message.
+     * @param {Element} field - Field element.
+     * @returns {?string} Validity state key of the problem with the field (or null if it's valid).
+     */
+    static validateField(field) {
+      const reason = CheckoutReadiness.getInvalidReason(field);
+      const error = document.getElementById(`${field.id}-error`);
+
+      error.textContent = reason ? CheckoutReadiness.getErrorMessage(field, reason) : '';
+      error.hidden = !reason;
+
+      if (reason) {
+        field.setAttribute('aria-invalid', 'true');
+        field.setAttribute('aria-describedby', error.id);
+      } else {
+        field.removeAttribute('aria-invalid');
+        field.removeAttribute('aria-describedby');
+      }
+
+      return reason;
+    }
+
+    /**
+     * Shows the save status of a field.
+     * @param {Element} field - Field element.
+     * @param {string} status - Status ('unsaved', 'saving', 'saved' or 'saveError').
+     */
+    static setStatus(field, status) {
+      const statusEl = document.getElementById(`${field.id}-status`);
+      if (!statusEl) return;
+
+      statusEl.textContent = theme.strings.checkoutReadiness[status];
+      statusEl.classList.toggle('text-error-text', status === 'saveError');
+      statusEl.classList.toggle('text-theme-light', status !== 'saveError');
+    }
+
+    /**
+     * Returns what's wrong with the value of a field.
+     * @param {Element} field - Field element.
+     * @returns {?string} Validity state key of the problem (or null if the value is valid).
+     */
+    static getInvalidReason(field) {
+      const { validity } = field;
+      const value = field.value.trim();
+
+      if (field.required && !value) return 'valueMissing';
+      if (!value) return null;
+      if (validity.typeMismatch || validity.patternMismatch || validity.badInput) {
+        return 'typeMismatch';
+      }
+
+      // Browsers without a date picker don't check the range, so the value is compared here.
+      if (field.type === 'date' && (validity.rangeUnderflow || (field.min && value < field.min))) {
+        return 'rangeUnderflow';
+      }
+
+      return null;
+    }
+
+    /**
+     * Returns the error message for a problem with a field.
+     * @param {Element} field - Field element.
+     * @param {string} reason - Validity state key of the problem.
+     * @returns {string}
+     */
+    static getErrorMessage(field, reason) {
+      const error = document.getElementById(`${field.id}-error`);
+      return error.dataset[reason] || error.dataset.typeMismatch || error.dataset.valueMissing;
+    }
+
+    /**
+     * Opens the disclosure a field is in (if it's closed), then focuses the field (or the first
+     * control of its component, for hidden fields).
+     * @param {Element} field - Field element.
+     */
+    static revealField(field) {
+      const disclosure = field.closest('details-disclosure, cart-drawer-disclosure');
+      if (disclosure && !disclosure.disclosure.open) disclosure.open();
+
+      const focusTarget = field.type === 'hidden'
+        ? field.closest('.checkout-readiness__field')
+          .querySelector('button:enabled, input:enabled:not([type="hidden"])')
+        : field;
+
+      setTimeout(() => (focusTarget || field).focus(), 50);
+    }
+
+    /**
+     * Formats a date as the value of a date input (YYYY-MM-DD).
+     * @param {Date} date - Date to format.
+     * @returns {string}
+     */
+    static formatDate(date) {
+      return [
+        date.getFullYear(),
+        String(date.getMonth() + 1).padStart(2, '0'),
+        String(date.getDate()).padStart(2, '0')
+      ].join('-');
+    }
+  }
+
+  customElements.define('checkout-readiness', CheckoutReadiness);
+}
@@ -0,0 +1,94 @@
+if (!customElements.get('custom-option')) {
+  class CustomOption extends HTMLElement {
+    constructor() {
+      super();
+      this.input = this.querySelector('.js-custom-option-input');
+      this.error = this.querySelector('.js-custom-option-error');
+      this.count = this.querySelector('.js-custom-option-count');
+      this.section = this.closest('.shopify-section');
+
+      this.input.addEventListener('input', this.handleInput.bind(this));
+      this.input.addEventListener('change', this.handleInput.bind(this));
+    }
+
+    connectedCallback() {
+      if (this.dataset.variantValues && this.section) {
+        this.variantChangeHandler = this.handleVariantChange.bind(this);
+        this.section.addEventListener('on:variant:change', this.variantChangeHandler);
+      }
+
+      this.updateCount();
+    }
+
+    disconnectedCallback() {
+      if (this.variantChangeHandler) {
+        this.section.removeEventListener('on:variant:change', this.variantChangeHandler);
+      }
+    }
+
+    /**
+     * Handles 'input' and 'change' events on the field.
+     */
+    handleInput() {
+      this.updateCount();
+      if (!this.error.hidden) this.validate();
+    }
+
+    /**
+     * Handles 'on:variant:change' events, showing the field only for the variants it applies to.
+     * @param {object} evt - Event object.
+     */
+    handleVariantChange(evt) {
+      const values = this.dataset.variantValues.split('|').map((value) => value.trim());
+      const { variant } = evt.detail;
+      const visible = !!variant && variant.options.some(
+        (option) => values.includes(option.toLowerCase())
+      );
+
+      this.hidden = !visible;
+      this.input.disabled = !visible;
+      if (!visible) this.setError(false);
+    }
+
+    /**
+     * Updates the character count of the field (if it has one).
+     */
+    updateCount() {
+      if (this.count) this.count.textContent = this.input.value.length;
+    }
+
+    /**
+     * Checks a required field has a value, showing an error message if it hasn't. Hidden fields
+     * (i.e. for another variant) are always valid, as they aren't submitted.
+     * @returns {boolean}
+     */
+    validate() {
+      if (this.hidden || !this.dataset.required) return true;
+
+      const valid = this.input.type === 'checkbox'
+        ? this.input.checked
+        : this.input.value.trim() !== '';
+
+      this.setError(!valid);
+      return valid;
+    }
+
+    /**
+     * Shows/hides the error message of the field.
+     * @param {boolean} show - Show the error message.
+     */
+    setError(show) {
+      this.error.hidden = !show;
+
+      if (show) {
+        this.input.setAttribute('aria-invalid', 'true');
+        this.input.setAttribute('aria-describedby', this.error.id);
+      } else {
+        this.input.removeAttribute('aria-invalid');
+        this.input.removeAttribute('aria-describedby');
+      }
+    }
+  }
+
+  customElements.define('custom-option', CustomOption);
+}
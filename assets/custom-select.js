@@ -317,8 +317,9 @@ if (!customElements.get('custom-select')) {
     /**
      * Selects an option.
      * @param {Element} option - Option <li> element.
+     * @param {boolean} [silent=false] - Select the option without dispatching a 'change' event.
      */
-    selectOption(option) {
+    selectOption(option, silent = false) {
       if (option !== this.selectedOption) {
         // Switch aria-selected attribute to selected option.
         option.setAttribute('aria-selected', 'true');
@@ -337,8 +338,8 @@ if (!customElements.get('custom-select')) {
         // If a native <select> exists, update its selected value and dispatch a 'change' event.
         if (this.nativeSelect) {
           this.nativeSelect.value = option.dataset.value;
-          this.nativeSelect.dispatchEvent(new Event('change', { bubbles: true }));
-        } else {
+          if (!silent) this.nativeSelect.dispatchEvent(new Event('change', { bubbles: true }));
+        } else if (!silent) {
           // Dispatch a 'change' event on the custom select element.
           const detail = { selectedValue: option.dataset.value };
           this.dispatchEvent(new CustomEvent('change', { bubbles: true, detail }));
@@ -48,6 +48,12 @@
  *  13. dispatch:cart-drawer:close
  *  14. on:debounced-resize
  *  15. on:breakpoint-change
+ *  16. on:cart:change
+ *  17. on:saved-for-later:change
+ *  18. on:wishlist:add
+ *  19. on:wishlist:remove
+ *  20. on:my-store:change
+ *  21. on:tax-display:change
  *
  * -------------------------------------------------------------------------------------------------
  * 1) on:variant:change
@@ -80,6 +86,7 @@
  * Returned data:
  *   - cart: the new cart object after the variant was added
  *   - variantId: id of the variant that was just added to the cart
+ *   - freeGift: true when the variant is a free gift added automatically (otherwise not set)
  *
  *
  * -------------------------------------------------------------------------------------------------
@@ -262,6 +269,103 @@
  * });
  *
  *
+ * -------------------------------------------------------------------------------------------------
+ * 16) on:cart:change
+ * -------------------------------------------------------------------------------------------------
+ * Fires on the document after every change made through the cart store (see the 'Cart Store'
+ * utility below), whichever component made it. Unlike 'on:cart:add' and 'on:line-item:change', it
+ * fires once per request, however many line items were affected.
+ *
+ * How to listen:
+ * document.addEventListener('on:cart:change', (event) => {
+ *   // your code here
+ * });
+ *
+ * Returned data:
+ *   - type: 'add', 'change', 'update' or 'refresh'
+ *   - cart: the new cart object
+ *   - previousCart: the cart object before the change (null if it wasn't known yet)
+ *   - items: the added line items (only for 'add', otherwise null)
+ *   - sections: the rendered sections returned with the change (null if none were requested)
+ *   - source: the element which requested the change (null if unknown)
+ *
+ *
+ * -------------------------------------------------------------------------------------------------
+ * 17) on:saved-for-later:change
+ * -------------------------------------------------------------------------------------------------
+ * Fires on the document whenever an item is added to or removed from the "Saved for later" list
+ * (when it's enabled in Theme Settings > Cart).
+ *
+ * How to listen:
+ * document.addEventListener('on:saved-for-later:change', (event) => {
+ *   // your code here
+ * });
+ *
+ * Returned data:
+ *   - items: the saved items, each with the line item key, variantId, quantity, properties and url
+ *
+ *
+ * -------------------------------------------------------------------------------------------------
+ * 18) on:wishlist:add
+ * -------------------------------------------------------------------------------------------------
+ * Fires whenever a product is added to the wishlist (when it's enabled in Theme Settings >
+ * Wishlist).
+ *
+ * How to listen:
+ * document.addEventListener('on:wishlist:add', (event) => {
+ *   // your code here
+ * });
+ *
+ * Returned data:
+ *   - productId: the id of the added product
+ *   - wishlist: an array of the product ids in the wishlist
+ *
+ *
+ * -------------------------------------------------------------------------------------------------
+ * 19) on:wishlist:remove
+ * -------------------------------------------------------------------------------------------------
+ * Fires whenever a product is removed from the wishlist.
+ *
+ * How to listen:
+ * document.addEventListener('on:wishlist:remove', (event) => {
+ *   // your code here
+ * });
+ *
+ * Returned data:
+ *   - productId: the id of the removed product
+ *   - wishlist: an array of the product ids in the wishlist
+ *
+ *
+ * -------------------------------------------------------------------------------------------------
+ * 20) on:my-store:change
+ * -------------------------------------------------------------------------------------------------
+ * Fires whenever the customer chooses a pickup location as their "My store" (when it's enabled in
+ * Theme Settings > Store pickup), including in another tab.
+ *
+ * How to listen:
+ * document.addEventListener('on:my-store:change', (event) => {
+ *   // your code here
+ * });
+ *
+ * Returned data:
+ *   - location: the name of the chosen location
+ *
+ *
+ * -------------------------------------------------------------------------------------------------
+ * 21) on:tax-display:change
+ * -------------------------------------------------------------------------------------------------
+ * Fires whenever the customer chooses to see prices including or excluding tax first (when it's
+ * enabled in Theme Settings > Currency format), including in another tab.
+ *
+ * How to listen:
+ * document.addEventListener('on:tax-display:change', (event) => {
+ *   // your code here
+ * });
+ *
+ * Returned data:
+ *   - display: 'including' or 'excluding'
+ *
+ *
  *
  * =================================================================================================
  * Web Components
@@ -401,6 +505,33 @@
  *  // your code here
  * });
  *
+ *
+ * -------------------------------------------------------------------------------------------------
+ * 4) Cart Store
+ * -------------------------------------------------------------------------------------------------
+ * All changes to the cart made by the theme go through theme.cartStore. It keeps the latest cart
+ * object, runs the requests one at a time in the order they were made and fires 'on:cart:change'
+ * after each one, so the cart drawer, cart page and cart icon stay in sync.
+ *
+ *  - theme.cartStore.getCart() - returns the latest known cart object (or null).
+ *  - theme.cartStore.add(body, options) - posts to /cart/add.js (FormData or { items: [] }).
+ *  - theme.cartStore.change(body, options) - posts to /cart/change.js.
+ *  - theme.cartStore.update(body, options) - posts to /cart/update.js.
+ *  - theme.cartStore.refresh() - fetches the cart from the server.
+ *
+ * The 'options' object can contain an array of 'sections' to render along with the change, and the
+ * 'source' element making it. Each method returns a Promise which resolves with { data, cart,
+ * previousCart }, or rejects with the error message returned by Shopify.
+ *
+ * If you change the cart through the store without asking for any sections, the cart drawer will
+ * refresh itself.
+ *
+ * Changes made through the store are also announced to the store's other open tabs, which refresh
+ * their cart (firing 'on:cart:change' with type 'refresh') as soon as they're visible.
+ *
+ * Example:
+ * theme.cartStore.add({ items: [{ id: 123456789, quantity: 1 }] });
+ *
  * =================================================================================================
  *
  * Have fun! - The Clean Canvas Development Team.
@@ -0,0 +1,355 @@
+/**
+ * Required translation strings:
+ * - checkoutReadiness
+ */
+
+if (!customElements.get('delivery-picker')) {
+  class DeliveryPicker extends HTMLElement {
+    constructor() {
+      super();
+      this.dateInput = this.querySelector('.js-delivery-date');
+      this.deliveryOptions = this.querySelector('.js-delivery-options');
+      this.pickupOptions = this.querySelector('.js-pickup-options');
+      this.slots = this.querySelector('.js-delivery-slots');
+      this.month = this.querySelector('.js-delivery-month');
+      this.weekdays = this.querySelector('.js-delivery-weekdays');
+      this.days = this.querySelector('.js-delivery-days');
+      this.prevBtn = this.querySelector('.js-delivery-prev');
+      this.nextBtn = this.querySelector('.js-delivery-next');
+      this.locale = document.documentElement.lang || undefined;
+
+      this.schedule = DeliveryPicker.parseSchedule(this.dataset.schedule);
+      this.blackoutDates = this.dataset.blackoutDates.split(/\s+/).filter((date) => date);
+      this.availableDates = this.getAvailableDates();
+
+      this.addEventListener('change', this.handleChange.bind(this));
+      this.days.addEventListener('click', this.handleDayClick.bind(this));
+      this.days.addEventListener('keydown', this.handleDayKeydown.bind(this));
+      this.prevBtn.addEventListener('click', () => this.renderMonth(this.shownMonth - 1));
+      this.nextBtn.addEventListener('click', () => this.renderMonth(this.shownMonth + 1));
+    }
+
+    connectedCallback() {
+      this.renderWeekdays();
+
+      // A date saved earlier may have passed its cutoff since, so it's cleared.
+      const { value } = this.dateInput;
+      const dateExpired = value && !this.availableDates.includes(value);
+      if (dateExpired) this.setDate('');
+
+      if (dateExpired || this.hasStalePickup()) this.save();
+
+      const firstDate = this.dateInput.value || this.availableDates[0];
+      this.renderMonth(firstDate ? DeliveryPicker.getMonthIndex(firstDate) : 0);
+    }
+
+    /**
+     * Handles 'change' events on the method, pickup location and slot radios.
+     * @param {object} evt - Event object.
+     */
+    handleChange(evt) {
+      if (evt.target.matches('.js-delivery-method')) {
+        this.setMethod(evt.target.value);
+        this.save();
+      } else if (evt.target.matches('.js-pickup-location, .js-delivery-slot')) {
+        this.save();
+      }
+    }
+
+    /**
+     * Handles 'click' events on the days of the calendar.
+     * @param {object} evt - Event object.
+     */
+    handleDayClick(evt) {
+      const dayBtn = evt.target.closest('[data-date]');
+      if (!dayBtn || dayBtn.disabled) return;
+
+      this.setDate(dayBtn.dataset.date);
+      this.save();
+    }
+
+    /**
+     * Handles 'keydown' events on the days of the calendar, moving focus to the previous/next
+     * available day (or week) with the arrow keys.
+     * @param {object} evt - Event object.
+     */
+    handleDayKeydown(evt) {
+      const steps = {
+        ArrowLeft: -1, ArrowRight: 1, ArrowUp: -7, ArrowDown: 7
+      };
+      if (!steps[evt.key] || !evt.target.dataset.date) return;
+
+      evt.preventDefault();
+      const dir = document.dir === 'rtl' && Math.abs(steps[evt.key]) === 1 ? -1 : 1;
+      const date = DeliveryPicker.parseDate(evt.target.dataset.date);
+      const lastDate = this.availableDates[this.availableDates.length - 1];
+
+      do {
+        date.setDate(date.getDate() + steps[evt.key] * dir);
+      } while (
+        !this.availableDates.includes(DeliveryPicker.formatDate(date))
+        && DeliveryPicker.formatDate(date) >= this.availableDates[0]
+        && DeliveryPicker.formatDate(date) <= lastDate
+      );
+
+      const value = DeliveryPicker.formatDate(date);
+      if (!this.availableDates.includes(value)) return;
+
+      const monthIndex = DeliveryPicker.getMonthIndex(value);
+      if (monthIndex !== this.shownMonth) this.renderMonth(monthIndex);
+      this.days.querySelector(`[data-date="${value}"]`).focus();
+    }
+
+    /**
+     * Returns whether the saved pickup attributes no longer match the picker, e.g. because an item
+     * which can't be picked up was added to the cart (so pickup isn't offered any more).
+     * @returns {boolean}
+     */
+    hasStalePickup() {
+      const { savedMethod, savedLocation } = this.dataset;
+      const method = this.querySelector('.js-delivery-method:checked');
+      const location = this.querySelector('.js-pickup-location:checked');
+
+      if (!method) return Boolean(savedMethod || savedLocation);
+      return method.value === 'Pickup' && !!location && location.value !== savedLocation;
+    }
+
+    /**
+     * Switches between delivery and store pickup. The fields of the other method are disabled, so
+     * they aren't submitted with the cart form.
+     * @param {string} method - 'Delivery' or 'Pickup'.
+     */
+    setMethod(method) {
+      const isPickup = method === 'Pickup';
+
+      this.deliveryOptions.hidden = isPickup;
+      this.pickupOptions.hidden = !isPickup;
+      this.pickupOptions.disabled = !isPickup;
+      this.dateInput.disabled = isPickup;
+      this.dateInput.required = !isPickup && this.dateInput.hasAttribute('data-required');
+      if (this.slots) this.slots.disabled = isPickup || !this.dateInput.value;
+
+      // Lets the checkout-readiness element re-validate the date.
+      this.dateInput.dispatchEvent(new Event('change', { bubbles: true }));
+    }
+
+    /**
+     * Sets the selected delivery date.
+     * @param {string} value - Date (YYYY-MM-DD), or an empty string to clear it.
+     */
+    setDate(value) {
+      this.dateInput.value = value;
+      if (this.slots) this.slots.disabled = !value;
+
+      this.days.querySelectorAll('[data-date]').forEach((dayBtn) => {
+        dayBtn.setAttribute('aria-pressed', dayBtn.dataset.date === value);
+      });
+
+      this.dateInput.dispatchEvent(new Event('change', { bubbles: true }));
+    }
+
+    /**
+     * Saves the delivery method, date, slot and pickup location as cart attributes. The attributes
+     * of the method that isn't chosen are cleared (as are both method attributes when pickup isn't
+     * offered).
+     */
+    async save() {
+      const method = this.querySelector('.js-delivery-method:checked');
+      const slot = this.querySelector('.js-delivery-slot:checked');
+      const location = this.querySelector('.js-pickup-location:checked');
+      const isPickup = method && method.value === 'Pickup';
+
+      const attributes = {
+        'Delivery date': isPickup ? '' : this.dateInput.value,
+        'Delivery slot': !isPickup && this.dateInput.value && slot ? slot.value : '',
+        'Delivery method': method ? method.value : '',
+        'Pickup location': isPickup && location ? location.value : ''
+      };
+
+      // Only the latest request updates the status.
+      this.saveRequest = (this.saveRequest || 0) + 1;
+      const requestId = this.saveRequest;
+      this.setStatus('saving');
+
+      try {
+        await theme.cartStore.update({ attributes }, { source: this });
+        this.dataset.savedMethod = attributes['Delivery method'];
+        this.dataset.savedLocation = attributes['Pickup location'];
+        if (this.saveRequest === requestId) this.setStatus('saved');
+      } catch (error) {
+        if (this.saveRequest === requestId) this.setStatus('saveError');
+        console.log(error); // eslint-disable-line
+      }
+    }
+
+    /**
+     * Shows the save status of the delivery date.
+     * @param {string} status - Status ('saving', 'saved' or 'saveError').
+     */
+    setStatus(status) {
+      const statusEl = document.getElementById(`${this.dateInput.id}-status`);
+      if (!statusEl) return;
+
+      statusEl.textContent = theme.strings.checkoutReadiness[status];
+      statusEl.classList.toggle('text-error-text', status === 'saveError');
+      statusEl.classList.toggle('text-theme-light', status !== 'saveError');
+    }
+
+    /**
+     * Renders the names of the weekdays (in the language of the store) above the calendar.
+     */
+    renderWeekdays() {
+      const formatter = new Intl.DateTimeFormat(this.locale, { weekday: 'short' });
+      const longFormatter = new Intl.DateTimeFormat(this.locale, { weekday: 'long' });
+      const date = new Date(2023, 0, 1); // A Sunday.
+
+      this.weekdays.innerHTML = '';
+      for (let i = 0; i < 7; i += 1) {
+        const cell = document.createElement('th');
+        cell.scope = 'col';
+        cell.abbr = longFormatter.format(date);
+        cell.textContent = formatter.format(date);
+        this.weekdays.appendChild(cell);
+        date.setDate(date.getDate() + 1);
+      }
+    }
+
+    /**
+     * Renders the days of a month, from the current month onwards.
+     * @param {number} monthIndex - Number of months after the current month.
+     */
+    renderMonth(monthIndex) {
+      const lastDate = this.availableDates[this.availableDates.length - 1];
+      const lastMonth = lastDate ? DeliveryPicker.getMonthIndex(lastDate) : 0;
+      this.shownMonth = Math.min(Math.max(monthIndex, 0), lastMonth);
+
+      const today = new Date();
+      const firstDay = new Date(today.getFullYear(), today.getMonth() + this.shownMonth, 1);
+      const date = new Date(firstDay);
+      date.setDate(1 - firstDay.getDay());
+
+      const monthFormatter = new Intl.DateTimeFormat(this.locale, {
+        month: 'long',
+        year: 'numeric'
+      });
+      this.month.textContent = monthFormatter.format(firstDay);
+      this.prevBtn.disabled = this.shownMonth === 0;
+      this.nextBtn.disabled = this.shownMonth === lastMonth;
+
+      const dayFormatter = new Intl.DateTimeFormat(this.locale, { dateStyle: 'full' });
+      this.days.innerHTML = '';
+
+      while (date.getMonth() === firstDay.getMonth() || date < firstDay) {
+        const row = document.createElement('tr');
+
+        for (let i = 0; i < 7; i += 1) {
+          const cell = document.createElement('td');
+
+          if (date.getMonth() === firstDay.getMonth()) {
+            const value = DeliveryPicker.formatDate(date);
+            const dayBtn = document.createElement('button');
+            dayBtn.type = 'button';
+            dayBtn.className = 'delivery-picker__day';
+            dayBtn.dataset.date = value;
+            dayBtn.textContent = date.getDate();
+            dayBtn.setAttribute('aria-label', dayFormatter.format(date));
+            dayBtn.setAttribute('aria-pressed', value === this.dateInput.value);
+            dayBtn.disabled = !this.availableDates.includes(value);
+            cell.appendChild(dayBtn);
+          }
+
+          row.appendChild(cell);
+          date.setDate(date.getDate() + 1);
+        }
+
+        this.days.appendChild(row);
+      }
+    }
+
+    /**
+     * Returns the dates delivery can be chosen for, taking the delivery days, their cutoff times,
+     * the lead time and the blackout dates into account.
+     * @returns {Array} Dates (YYYY-MM-DD), in order.
+     */
+    getAvailableDates() {
+      const now = new Date();
+      const leadTime = Number(this.dataset.leadTime);
+      const dates = [];
+
+      for (let i = 0; i <= Number(this.dataset.daysAhead); i += 1) {
+        const date = new Date(now.getFullYear(), now.getMonth(), now.getDate() + i);
+        const cutoff = this.schedule[date.getDay()];
+        const value = DeliveryPicker.formatDate(date);
+
+        if (cutoff && !this.blackoutDates.includes(value)) {
+          // Orders must be placed by the cutoff time, the lead time before the delivery date.
+          const deadline = new Date(date);
+          deadline.setDate(date.getDate() - leadTime);
+          deadline.setHours(cutoff.hours, cutoff.minutes);
+
+          if (now <= deadline) dates.push(value);
+        }
+      }
+
+      return dates;
+    }
+
+    /**
+     * Returns the number of months a date is after the current month.
+     * @param {string} value - Date (YYYY-MM-DD).
+     * @returns {number}
+     */
+    static getMonthIndex(value) {
+      const date = DeliveryPicker.parseDate(value);
+      const today = new Date();
+      return (date.getFullYear() - today.getFullYear()) * 12 + date.getMonth() - today.getMonth();
+    }
+
+    /**
+     * Parses the delivery schedule setting, e.g. "Mon 14:00" (one weekday per line).
+     * @param {string} schedule - Setting value.
+     * @returns {object} Cutoff time ({ hours, minutes }) of each delivery day, by day index.
+     */
+    static parseSchedule(schedule) {
+      const weekdays = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+      const cutoffs = {};
+
+      schedule.split(/\n/).forEach((line) => {
+        const match = line.trim().match(/^([a-z]{3})[a-z]*\s*(?:(\d{1,2})[:.](\d{2}))?$/i);
+        if (!match || !weekdays.includes(match[1].toLowerCase())) return;
+
+        cutoffs[weekdays.indexOf(match[1].toLowerCase())] = {
+          hours: match[2] ? Number(match[2]) : 23,
+          minutes: match[3] ? Number(match[3]) : 59
+        };
+      });
+
+      return cutoffs;
+    }
+
+    /**
+     * Parses a date value (YYYY-MM-DD) as a local date.
+     * @param {string} value - Date value.
+     * @returns {Date}
+     */
+    static parseDate(value) {
+      const [year, month, day] = value.split('-').map(Number);
+      return new Date(year, month - 1, day);
+    }
+
+    /**
+     * Formats a date as a date value (YYYY-MM-DD).
+     * @param {Date} date - Date to format.
+     * @returns {string}
+     */
+    static formatDate(date) {
+      return [
+        date.getFullYear(),
+        String(date.getMonth() + 1).padStart(2, '0'),
+        String(date.getDate()).padStart(2, '0')
+      ].join('-');
+    }
+  }
+
+  customElements.define('delivery-picker', DeliveryPicker);
+}
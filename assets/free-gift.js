@@ -0,0 +1,216 @@
+if (!customElements.get('free-gift')) {
+  class FreeGift extends HTMLElement {
+    constructor() {
+      super();
+      this.choices = this.querySelectorAll('.js-free-gift-choice');
+      this.status = this.querySelector('.js-free-gift-status');
+
+      this.addEventListener('change', this.handleChoiceChange.bind(this));
+    }
+
+    connectedCallback() {
+      this.cartChangeHandler = this.handleCartChange.bind(this);
+      document.addEventListener('on:cart:change', this.cartChangeHandler);
+
+      const cart = theme.cartStore.getCart();
+      if (cart) {
+        this.render(cart);
+        this.sync(cart);
+      } else if (Number(this.dataset.itemCount) > 0) {
+        this.fetchCart();
+      }
+    }
+
+    disconnectedCallback() {
+      document.removeEventListener('on:cart:change', this.cartChangeHandler);
+    }
+
+    /**
+     * Fetches the cart JSON, for when no cart mutation has happened on the page yet.
+     */
+    async fetchCart() {
+      try {
+        const response = await fetch(`${theme.routes.cart}.js`);
+        if (!response.ok) throw new Error(response.status);
+
+        const cart = await response.json();
+        this.render(cart);
+        this.sync(cart);
+      } catch (error) {
+        console.log(error); // eslint-disable-line
+      }
+    }
+
+    /**
+     * Handles 'on:cart:change' events from the cart store. Changes made by this element are only
+     * rendered, so adding or removing the gift never triggers another sync.
+     * @param {object} evt - Event object.
+     */
+    handleCartChange(evt) {
+      const { cart, previousCart, source } = evt.detail;
+
+      if (source === this) {
+        this.render(cart);
+        return;
+      }
+
+      // A gift removed by the customer stays removed until they choose one again.
+      if (previousCart && FreeGift.getGiftLines(previousCart).length > 0
+        && FreeGift.getGiftLines(cart).length === 0 && this.isEligible(cart)) {
+        theme.storageUtil.set('free-gift-declined', true, true);
+      }
+
+      // The cart store queues any change to the gift behind the change that triggered it, and the
+      // drawer refreshes itself for the gift change (the add to cart flow won't render over it).
+      this.render(cart);
+      this.sync(cart);
+    }
+
+    /**
+     * Handles 'change' events on the gift choices.
+     * @param {object} evt - Event object.
+     */
+    handleChoiceChange(evt) {
+      if (!evt.target.matches('.js-free-gift-choice')) return;
+
+      theme.storageUtil.set('free-gift-choice', evt.target.value);
+      theme.storageUtil.remove('free-gift-declined', true);
+      this.sync();
+    }
+
+    /**
+     * Adds, swaps or removes the gift so the cart matches the threshold and the chosen gift.
+     * The cart drawer re-renders this element, so only one sync runs at a time across instances,
+     * and any requested meanwhile runs once it's done.
+     * @param {object} [cart] - Cart JSON (defaults to the latest cart from the cart store).
+     */
+    async sync(cart = theme.cartStore.getCart()) {
+      if (!cart || !this.isConnected || this.choices.length === 0) return;
+
+      if (FreeGift.syncing) {
+        FreeGift.syncPending = true;
+        return;
+      }
+
+      FreeGift.syncing = true;
+
+      try {
+        const giftLines = FreeGift.getGiftLines(cart);
+        const chosenVariantId = this.getChosenVariantId();
+
+        if (!this.isEligible(cart)) {
+          theme.storageUtil.remove('free-gift-declined', true);
+          if (giftLines.length > 0) await this.removeLines(giftLines);
+        } else if (theme.storageUtil.get('free-gift-declined', false, true)) {
+          // Leave the cart alone, the customer can choose a gift again.
+        } else if (giftLines.length === 0) {
+          await this.addGift(chosenVariantId);
+        } else if (giftLines.length > 1 || giftLines[0].variant_id !== chosenVariantId) {
+          await this.removeLines(giftLines);
+          await this.addGift(chosenVariantId);
+        } else if (giftLines[0].quantity !== 1) {
+          await theme.cartStore.change({ id: giftLines[0].key, quantity: 1 }, { source: this });
+        }
+      } catch (error) {
+        console.log(error); // eslint-disable-line
+      } finally {
+        FreeGift.syncing = false;
+      }
+
+      if (FreeGift.syncPending) {
+        FreeGift.syncPending = false;
+        const freeGift = this.isConnected ? this : document.querySelector('free-gift');
+        if (freeGift) freeGift.sync();
+      }
+    }
+
+    /**
+     * Adds a gift variant to the cart, marked with a hidden line item property.
+     * @param {number} variantId - Id of the gift variant.
+     */
+    async addGift(variantId) {
+      const { cart } = await theme.cartStore.add({
+        items: [{
+          id: variantId,
+          quantity: 1,
+          properties: { _free_gift: 'true' }
+        }]
+      }, { source: this });
+
+      this.dispatchEvent(new CustomEvent('on:cart:add', {
+        bubbles: true,
+        detail: {
+          cart,
+          variantId,
+          freeGift: true
+        }
+      }));
+    }
+
+    /**
+     * Removes gift line items from the cart.
+     * @param {Array} lines - Line items to remove.
+     */
+    async removeLines(lines) {
+      const updates = {};
+      lines.forEach((line) => {
+        updates[line.key] = 0;
+      });
+
+      await theme.cartStore.update({ updates }, { source: this });
+    }
+
+    /**
+     * Returns the id of the gift variant the customer chose (or the first one if they haven't).
+     * @returns {number}
+     */
+    getChosenVariantId() {
+      const storedId = theme.storageUtil.get('free-gift-choice');
+      const choice = Array.from(this.choices).find((input) => input.value === storedId)
+        || this.choices[0];
+
+      return Number(choice.value);
+    }
+
+    /**
+     * Returns whether the cart subtotal (excluding any gift) reaches the threshold. The threshold
+     * is in the store's currency, so it's converted to the cart currency.
+     * @param {object} cart - Cart JSON.
+     * @returns {boolean}
+     */
+    isEligible(cart) {
+      const rate = window.Shopify && Shopify.currency ? Number(Shopify.currency.rate) || 1 : 1;
+      const threshold = Math.round(Number(this.dataset.threshold) * 100 * rate);
+      const giftTotal = FreeGift.getGiftLines(cart)
+        .reduce((total, line) => total + line.final_line_price, 0);
+
+      return cart.items_subtotal_price - giftTotal >= threshold;
+    }
+
+    /**
+     * Shows the choices while the cart qualifies for a gift, with the gift in the cart selected.
+     * @param {object} cart - Cart JSON.
+     */
+    render(cart) {
+      const giftLine = FreeGift.getGiftLines(cart)[0];
+      const declined = !!theme.storageUtil.get('free-gift-declined', false, true);
+
+      this.hidden = !this.isEligible(cart);
+      this.status.hidden = !declined || !!giftLine;
+      this.choices.forEach((input) => {
+        input.checked = giftLine ? Number(input.value) === giftLine.variant_id : false;
+      });
+    }
+
+    /**
+     * Returns the gift line items of a cart.
+     * @param {object} cart - Cart JSON.
+     * @returns {Array}
+     */
+    static getGiftLines(cart) {
+      return cart.items.filter((item) => item.properties && item.properties._free_gift);
+    }
+  }
+
+  customElements.define('free-gift', FreeGift);
+}
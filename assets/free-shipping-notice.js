@@ -0,0 +1,109 @@
+/**
+ * Dependencies:
+ * - formatMoney()
+ *
+ * Required translation strings:
+ * - freeShipping
+ */
+
+if (!customElements.get('free-shipping-notice')) {
+  class FreeShippingNotice extends HTMLElement {
+    connectedCallback() {
+      this.message = this.querySelector('.js-free-shipping-message');
+      this.bar = this.querySelector('.js-free-shipping-bar');
+      this.tiers = this.getTiers();
+      if (this.tiers.length === 0) return;
+
+      this.renderMarkers();
+      this.render(Number(this.dataset.total), Number(this.dataset.itemCount));
+
+      this.cartChangeHandler = this.handleCartChange.bind(this);
+      document.addEventListener('on:cart:change', this.cartChangeHandler);
+    }
+
+    disconnectedCallback() {
+      if (!this.cartChangeHandler) return;
+      document.removeEventListener('on:cart:change', this.cartChangeHandler);
+    }
+
+    /**
+     * Returns the tiers (free shipping and any rewards) in the cart currency, lowest first.
+     * @returns {Array}
+     */
+    getTiers() {
+      const data = this.querySelector('.js-free-shipping-tiers');
+      if (!data) return [];
+
+      const { freeShippingMinimum, rewardTiers } = JSON.parse(data.textContent);
+      const rate = window.Shopify && Shopify.currency ? Number(Shopify.currency.rate) || 1 : 1;
+
+      // Reward tier amounts are in the store's currency, the free shipping minimum isn't.
+      const tiers = rewardTiers.map((tier) => ({
+        amount: Math.round(tier.amount * rate),
+        reward: tier.reward
+      }));
+
+      if (freeShippingMinimum) tiers.push({ amount: freeShippingMinimum, reward: null });
+
+      return tiers.filter((tier) => tier.amount > 0).sort((a, b) => a.amount - b.amount);
+    }
+
+    /**
+     * Handles 'on:cart:change' events from the cart store.
+     * @param {object} evt - Event object.
+     */
+    handleCartChange(evt) {
+      const { cart } = evt.detail;
+      this.render(cart.total_price, cart.item_count);
+    }
+
+    /**
+     * Adds a marker to the progress bar for each tier before the last one.
+     */
+    renderMarkers() {
+      const maxAmount = this.tiers[this.tiers.length - 1].amount;
+
+      this.markers = this.tiers.slice(0, -1).map((tier) => {
+        const marker = document.createElement('span');
+        marker.className = 'free-shipping-notice__marker';
+        marker.dataset.amount = tier.amount;
+        marker.style.setProperty('--position', `${(tier.amount / maxAmount) * 100}%`);
+        this.bar.appendChild(marker);
+        return marker;
+      });
+    }
+
+    /**
+     * Updates the message and progress bar for a cart total.
+     * @param {number} total - Cart total (in cents).
+     * @param {number} itemCount - Number of items in the cart.
+     */
+    render(total, itemCount) {
+      this.hidden = itemCount === 0;
+
+      const strings = theme.strings.freeShipping;
+      const lastTier = this.tiers[this.tiers.length - 1];
+      const nextTier = this.tiers.find((tier) => total < tier.amount);
+      let message;
+
+      if (nextTier) {
+        const amount = formatMoney(nextTier.amount - total);
+        message = nextTier.reward
+          ? strings.tierDeficit.replace('[amount]', amount).replace('[reward]', nextTier.reward)
+          : strings.deficit.replace('[amount]', amount);
+      } else {
+        message = lastTier.reward
+          ? strings.tierReached.replace('[reward]', lastTier.reward)
+          : `<strong>${strings.reached}</strong>`;
+      }
+
+      this.message.innerHTML = message;
+      this.bar.style.setProperty('--progress', `${Math.min((total / lastTier.amount) * 100, 100)}%`);
+      this.markers.forEach((marker) => {
+        marker.classList.toggle('is-reached', total >= Number(marker.dataset.amount));
+      });
+    }
+  }
+
+  customElements.define('free-shipping-notice', FreeShippingNotice);
+}
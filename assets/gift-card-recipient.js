@@ -1,3 +1,8 @@
+/**
+ * Dependencies:
+ * - formatMoney()
+ */
+
 if (!customElements.get('gift-card-recipient')) {
   class GiftCardRecipient extends HTMLElement {
     connectedCallback() {
@@ -7,6 +12,11 @@ if (!customElements.get('gift-card-recipient')) {
       this.recipientMessage = this.querySelector('[name="properties[Message]"]');
       this.recipientSendOn = this.querySelector('[name="properties[Send on]"]');
       this.recipientOffsetProperty = this.querySelector('[name="properties[__shopify_offset]"]');
+      this.messageCount = this.querySelector('.js-gift-card-recipient-count');
+      this.previewAmount = this.querySelector('.js-gift-card-preview-amount');
+      this.previewName = this.querySelector('.js-gift-card-preview-name');
+      this.previewMessage = this.querySelector('.js-gift-card-preview-message');
+      this.section = this.closest('.shopify-section');
 
       // When JS is enabled, the recipient email field is required.
       // Input labels are changed to reflect this.
@@ -20,9 +30,34 @@ if (!customElements.get('gift-card-recipient')) {
         this.recipientOffsetProperty.removeAttribute('disabled');
       }
 
+      // The product form validates the fields itself, to show localized error messages.
+      const form = this.closest('form');
+      if (form && theme.settings.afterAtc !== 'no-js') form.noValidate = true;
+
+      this.setSendOnRange();
+
       this.recipientCheckbox = this.querySelector('.gift-card-recipient__checkbox');
       this.recipientCheckbox.addEventListener('change', () => this.synchronizeProperties());
       this.synchronizeProperties();
+
+      this.inputHandler = this.inputHandler || this.handleInput.bind(this);
+      this.addEventListener('input', this.inputHandler);
+      this.addEventListener('change', this.inputHandler);
+      this.updatePreview();
+
+      if (this.previewAmount && this.section) {
+        this.variantChangeHandler = this.handleVariantChange.bind(this);
+        this.section.addEventListener('on:variant:change', this.variantChangeHandler);
+      }
+    }
+
+    disconnectedCallback() {
+      this.removeEventListener('input', this.inputHandler);
+      this.removeEventListener('change', this.inputHandler);
+
+      if (this.variantChangeHandler) {
+        this.section.removeEventListener('on:variant:change', this.variantChangeHandler);
+      }
     }
 
     synchronizeProperties() {
@@ -44,7 +79,154 @@ if (!customElements.get('gift-card-recipient')) {
         if (this.recipientOffsetProperty) {
           this.recipientOffsetProperty.setAttribute('disabled', '');
         }
+
+        this.querySelectorAll('.js-gift-card-recipient-error').forEach((error) => {
+          const field = document.getElementById(error.id.replace(/-error$/, ''));
+          GiftCardRecipient.setFieldError(field, false);
+        });
+      }
+    }
+
+    /**
+     * Limits the "Send on" date picker to today up to the maximum number of days ahead (in the
+     * customer's timezone, so it's set here rather than in Liquid).
+     */
+    setSendOnRange() {
+      const today = new Date();
+      const lastDay = new Date();
+      lastDay.setDate(today.getDate() + Number(this.dataset.maxDays));
+
+      this.recipientSendOn.min = GiftCardRecipient.formatDate(today);
+      this.recipientSendOn.max = GiftCardRecipient.formatDate(lastDay);
+    }
+
+    /**
+     * Handles 'input' and 'change' events on the fields.
+     * @param {object} evt - Event object.
+     */
+    handleInput(evt) {
+      if (evt.target === this.recipientCheckbox) return;
+
+      this.updatePreview();
+
+      const error = document.getElementById(`${evt.target.id}-error`);
+      if (error && !error.hidden) GiftCardRecipient.validateField(evt.target);
+    }
+
+    /**
+     * Handles 'on:variant:change' events, showing the amount of the selected variant.
+     * @param {object} evt - Event object.
+     */
+    handleVariantChange(evt) {
+      const { variant } = evt.detail;
+      if (variant) this.previewAmount.innerHTML = formatMoney(variant.price);
+    }
+
+    /**
+     * Updates the message character count and the preview with the values of the fields.
+     */
+    updatePreview() {
+      if (this.messageCount) this.messageCount.textContent = this.recipientMessage.value.length;
+
+      if (this.previewName) {
+        this.previewName.textContent = this.recipientName.value.trim()
+          || this.previewName.dataset.placeholder;
       }
+
+      if (this.previewMessage) {
+        this.previewMessage.textContent = this.recipientMessage.value.trim();
+        this.previewMessage.hidden = !this.previewMessage.textContent;
+      }
+    }
+
+    /**
+     * Checks the recipient fields (if the gift card is being sent to a recipient), showing an
+     * error message for each invalid one and focusing the first.
+     * @returns {boolean} Whether all the fields are valid.
+     */
+    validate() {
+      if (!this.recipientCheckbox.checked) return true;
+
+      const invalidFields = [this.recipientEmail, this.recipientSendOn]
+        .filter((field) => !GiftCardRecipient.validateField(field));
+
+      if (invalidFields.length === 0) return true;
+
+      invalidFields[0].focus();
+      return false;
+    }
+
+    /**
+     * Checks a field against its constraints, showing/hiding its error message.
+     * @param {Element} field - Input element.
+     * @returns {boolean} Whether the field is valid.
+     */
+    static validateField(field) {
+      const { validity } = field;
+      let reason = null;
+
+      if (validity.valueMissing) {
+        reason = 'valueMissing';
+      } else if (validity.typeMismatch || validity.patternMismatch || validity.badInput) {
+        reason = 'typeMismatch';
+      } else if (field.type === 'email' && field.value && !GiftCardRecipient.isEmail(field.value)) {
+        reason = 'typeMismatch';
+      } else if (field.type === 'date' && field.value) {
+        // Browsers without a date picker don't check the range, so the value is compared here.
+        if (validity.rangeUnderflow || field.value < field.min) {
+          reason = 'rangeUnderflow';
+        } else if (validity.rangeOverflow || field.value > field.max) {
+          reason = 'rangeOverflow';
+        }
+      }
+
+      GiftCardRecipient.setFieldError(field, reason);
+      return !reason;
+    }
+
+    /**
+     * Shows/hides the error message of a field.
+     * @param {Element} field - Input element.
+     * @param {?string} reason - Validity state key to show the message for (or falsy to hide it).
+     */
+    static setFieldError(field, reason) {
+      const error = document.getElementById(`${field.id}-error`);
+      if (!error) return;
+
+      const message = reason ? error.dataset[reason] || error.dataset.typeMismatch : '';
+      error.textContent = message;
+      error.hidden = !message;
+
+      if (message) {
+        field.setAttribute('aria-invalid', 'true');
+        field.setAttribute('aria-describedby', error.id);
+      } else {
+        field.removeAttribute('aria-invalid');
+        field.removeAttribute('aria-describedby');
+      }
+    }
+
+    /**
+     * Returns whether a value looks like an email address. Browsers accept addresses without a
+     * domain extension (e.g. 'name@shop'), which can't receive the gift card.
+     * @param {string} value - Value to check.
+     * @returns {boolean}
+     */
+    static isEmail(value) {
+      return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value);
+    }
+
+    /**
+     * Formats a date as the value of a date input (YYYY-MM-DD).
+     * @param {Date} date - Date to format.
+     * @returns {string}
+     */
+    static formatDate(date) {
+      return [
+        date.getFullYear(),
+        String(date.getMonth() + 1).padStart(2, '0'),
+        String(date.getDate()).padStart(2, '0')
+      ].join('-');
     }
   }
 
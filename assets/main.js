@@ -91,6 +91,40 @@ function debounce(fn, wait = 300) {
   };
 }
 
+/**
+ * Formats an amount (in cents) using the shop's money format.
+ * @param {(number|string)} cents - Amount in cents.
+ * @param {string} [format=theme.settings.moneyFormat] - Shopify money format, e.g. '${{amount}}'.
+ * @returns {string}
+ */
+function formatMoney(cents, format = theme.settings.moneyFormat) {
+  const placeholderRegex = /\{\{\s*(\w+)\s*\}\}/;
+  const value = typeof cents === 'string' ? Number(cents.replace('.', '')) : cents;
+  const match = format.match(placeholderRegex);
+
+  const formatWithDelimiters = (precision, thousands = ',', decimal = '.') => {
+    if (Number.isNaN(value)) return '0';
+
+    const parts = (value / 100).toFixed(precision).split('.');
+    const whole = parts[0].replace(/(\d)(?=(\d\d\d)+(?!\d))/g, `$1${thousands}`);
+    return parts[1] ? `${whole}${decimal}${parts[1]}` : whole;
+  };
+
+  const formats = {
+    amount: () => formatWithDelimiters(2),
+    amount_no_decimals: () => formatWithDelimiters(0),
+    amount_with_comma_separator: () => formatWithDelimiters(2, '.', ','),
+    amount_no_decimals_with_comma_separator: () => formatWithDelimiters(0, '.', ','),
+    amount_with_apostrophe_separator: () => formatWithDelimiters(2, '\''),
+    amount_no_decimals_with_space_separator: () => formatWithDelimiters(0, ' '),
+    amount_with_space_separator: () => formatWithDelimiters(2, ' ', ','),
+    amount_with_period_and_space_separator: () => formatWithDelimiters(2, ' ', '.')
+  };
+
+  if (!match) return formatWithDelimiters(2);
+  return format.replace(placeholderRegex, (formats[match[1]] || formats.amount)());
+}
+
 /**
  * Sets a 'viewport-height' custom property on the root element.
  */
@@ -581,14 +615,33 @@ class QuantityInput extends HTMLElement {
   constructor() {
     super();
     this.input = this.querySelector('.qty-input__input');
+    this.message = document.getElementById(`${this.input.id}-message`);
     this.currentQty = this.input.value;
     this.changeEvent = new Event('change', { bubbles: true });
 
     this.addEventListener('click', this.handleClick.bind(this));
+    this.input.addEventListener('change', this.handleChange.bind(this));
     this.input.addEventListener('focus', QuantityInput.handleFocus);
     this.input.addEventListener('keydown', this.handleKeydown.bind(this));
   }
 
+  connectedCallback() {
+    const rulesData = this.querySelector('.js-qty-rules');
+    this.section = this.closest('.js-product');
+
+    if (rulesData && this.section) {
+      this.variantRules = JSON.parse(rulesData.textContent);
+      this.variantChangeHandler = this.handleVariantChange.bind(this);
+      this.section.addEventListener('on:variant:change', this.variantChangeHandler);
+    }
+  }
+
+  disconnectedCallback() {
+    if (this.variantChangeHandler) {
+      this.section.removeEventListener('on:variant:change', this.variantChangeHandler);
+    }
+  }
+
   /**
    * Handles 'click' events on the quantity input element.
    * @param {object} evt - Event object.
@@ -611,6 +664,80 @@ class QuantityInput extends HTMLElement {
     }
   }
 
+  /**
+   * Handles 'change' events on the input field. Runs before the listeners of any ancestors, so
+   * they only see a quantity which meets the quantity rules of the variant.
+   */
+  handleChange() {
+    this.applyRules(true);
+  }
+
+  /**
+   * Handles 'on:variant:change' events, switching to the quantity rules of the selected variant.
+   * @param {object} evt - Event object.
+   */
+  handleVariantChange(evt) {
+    const { variant } = evt.detail;
+    const rules = variant ? this.variantRules[variant.id] : null;
+    if (!rules) return;
+
+    this.input.min = rules.min;
+    this.input.step = rules.increment;
+    this.input.dataset.min = rules.min;
+
+    if (rules.max) {
+      this.input.max = rules.max;
+    } else {
+      this.input.removeAttribute('max');
+    }
+
+    // Let other listeners (e.g. the price breaks table) know if the quantity had to change.
+    if (this.applyRules(false)) this.input.dispatchEvent(this.changeEvent);
+  }
+
+  /**
+   * Snaps the quantity to the nearest one allowed by the quantity rules (min, max and increment).
+   * @param {boolean} showMessage - Explain why the quantity was changed.
+   * @returns {boolean} Whether the quantity was changed.
+   */
+  applyRules(showMessage) {
+    const qty = Number(this.input.value);
+    if (this.input.value === '' || Number.isNaN(qty)) return false;
+
+    // Cart quantity inputs allow 0 (to remove the item), so the rule minimum is stored separately.
+    const min = Number(this.input.dataset.min || this.input.min || 1);
+    const max = Number(this.input.max) || Infinity;
+    const increment = Number(this.input.step) || 1;
+    let snappedQty = qty;
+    let message = null;
+
+    if (qty === 0 && Number(this.input.min) === 0) {
+      snappedQty = 0;
+    } else if (qty < min) {
+      snappedQty = min;
+      message = theme.strings.qtyRules.min.replace('[quantity]', min);
+    } else if (qty > max) {
+      snappedQty = max;
+      message = theme.strings.qtyRules.max.replace('[quantity]', max);
+    } else if (qty % increment !== 0) {
+      snappedQty = Math.round(qty / increment) * increment;
+      message = theme.strings.qtyRules.increment.replace('[quantity]', increment);
+    }
+
+    if (this.message) {
+      this.message.hidden = !showMessage || !message;
+      this.message.textContent = showMessage && message
+        ? `${theme.strings.qtyRules.adjusted.replace('[quantity]', snappedQty)} ${message}`
+        : '';
+    }
+
+    if (snappedQty === qty) return false;
+
+    this.input.value = snappedQty;
+    this.currentQty = this.input.value;
+    return true;
+  }
+
   /**
    * Handles 'focus' events on the quantity input element.
    * @param {object} evt - Event object.
@@ -894,6 +1021,349 @@ document.addEventListener('shopify:section:load', initCssVarHeightWatch);
   };
 })();
 
+/**
+ * The pickup location the customer has chosen as their "My store" (when it's enabled in Theme
+ * Settings > Store pickup). It's kept in localStorage, so it persists across pages.
+ */
+(() => {
+  theme.myStore = {};
+
+  /**
+   * Dispatches the 'on:my-store:change' event.
+   * @param {?string} location - Name of the chosen location.
+   */
+  const notify = (location) => {
+    document.dispatchEvent(new CustomEvent('on:my-store:change', { detail: { location } }));
+  };
+
+  /**
+   * Returns the name of the chosen location.
+   * @returns {?string}
+   */
+  theme.myStore.get = () => theme.storageUtil.get('my-store');
+
+  /**
+   * Sets the chosen location.
+   * @param {string} location - Location name.
+   */
+  theme.myStore.set = (location) => {
+    theme.storageUtil.set('my-store', location);
+    notify(location);
+  };
+
+  // Keep the store in sync with changes made in other tabs.
+  window.addEventListener('storage', (evt) => {
+    if (evt.key === 'cc-my-store') notify(evt.newValue);
+  });
+})();
+
+/**
+ * Whether the customer sees prices including or excluding tax first (when enabled in Theme
+ * Settings > Currency format). It's kept in localStorage, so it persists across pages. The display
+ * is set on the <html> element's 'data-tax-display' attribute, which the price styles use.
+ */
+(() => {
+  theme.taxDisplay = {};
+
+  /**
+   * Applies the display and dispatches the 'on:tax-display:change' event.
+   * @param {string} display - 'including' or 'excluding'.
+   */
+  const notify = (display) => {
+    document.documentElement.dataset.taxDisplay = display;
+    document.dispatchEvent(new CustomEvent('on:tax-display:change', { detail: { display } }));
+  };
+
+  /**
+   * Returns the chosen display, or the default one if the customer hasn't chosen.
+   * @returns {string}
+   */
+  theme.taxDisplay.get = () => {
+    const display = theme.settings.taxDisplayToggle ? theme.storageUtil.get('tax-display') : null;
+    return display || theme.settings.taxDisplay;
+  };
+
+  /**
+   * Sets the chosen display.
+   * @param {string} display - 'including' or 'excluding'.
+   */
+  theme.taxDisplay.set = (display) => {
+    theme.storageUtil.set('tax-display', display);
+    notify(display);
+  };
+
+  // Keep the display in sync with changes made in other tabs.
+  window.addEventListener('storage', (evt) => {
+    if (evt.key === 'cc-tax-display') notify(theme.taxDisplay.get());
+  });
+})();
+
+/**
+ * Central store for the cart. Owns the latest cart JSON, runs cart mutations one at a time (in the
+ * order they were requested) and dispatches a single 'on:cart:change' event after each of them.
+ */
+(() => {
+  theme.cartStore = {};
+
+  let cart = null;
+  let queue = Promise.resolve();
+  let remoteChangePending = false;
+  const channel = 'BroadcastChannel' in window ? new BroadcastChannel('cc-cart') : null;
+
+  /**
+   * Gets the error message from a failed Cart API response.
+   * @param {object} data - Response JSON.
+   * @param {number} status - Response status code.
+   * @returns {string}
+   */
+  const getErrorMessage = (data, status) => {
+    if (typeof data.errors === 'string') return data.errors;
+    if (typeof data.description === 'string') return data.description;
+    return data.message || String(status);
+  };
+
+  /**
+   * Fetches the cart JSON.
+   * @returns {Promise<object>}
+   */
+  const fetchCart = async () => {
+    const response = await fetch(`${theme.routes.cart}.js`);
+    if (!response.ok) throw new Error(response.status);
+    return response.json();
+  };
+
+  /**
+   * Posts a request to a Cart API endpoint, asking for the given sections to be rendered.
+   * @param {string} url - Endpoint url.
+   * @param {(FormData|object)} body - Request body.
+   * @param {Array} [sections] - Ids of the sections to render.
+   * @returns {Promise<object>}
+   */
+  const post = async (url, body, sections) => {
+    const fetchRequestOpts = { method: 'POST' };
+
+    if (body instanceof FormData) {
+      if (sections) {
+        body.append('sections', sections.join(','));
+        body.append('sections_url', window.location.pathname);
+      }
+
+      fetchRequestOpts.headers = {
+        Accept: 'application/javascript',
+        'X-Requested-With': 'XMLHttpRequest'
+      };
+      fetchRequestOpts.body = body;
+    } else {
+      fetchRequestOpts.headers = {
+        Accept: 'application/json',
+        'Content-Type': 'application/json'
+      };
+      fetchRequestOpts.body = JSON.stringify(sections ? {
+        ...body,
+        sections: [...new Set(sections)],
+        sections_url: window.location.pathname
+      } : body);
+    }
+
+    const response = await fetch(url, fetchRequestOpts);
+    const data = await response.json();
+
+    if (!response.ok) {
+      const error = new Error(getErrorMessage(data, response.status));
+      error.status = response.status;
+      error.data = data;
+      throw error;
+    }
+
+    return data;
+  };
+
+  /**
+   * Adds a task to the end of the queue, so it only runs once all previous tasks have settled.
+   * @param {Function} task - Async function to run.
+   * @returns {Promise}
+   */
+  const enqueue = (task) => {
+    const result = queue.then(task);
+    queue = result.catch(() => {});
+    return result;
+  };
+
+  /**
+   * Dispatches the 'on:cart:change' event.
+   * @param {object} detail - Event detail.
+   */
+  const notify = (detail) => {
+    document.dispatchEvent(new CustomEvent('on:cart:change', { detail }));
+  };
+
+  /**
+   * Tells other tabs that the cart has changed, using a BroadcastChannel where it's supported and
+   * a localStorage 'storage' event otherwise.
+   */
+  const announce = () => {
+    const message = { itemCount: cart.item_count, time: Date.now() };
+
+    if (channel) {
+      channel.postMessage(message);
+    } else {
+      theme.storageUtil.set('cart-sync', message);
+    }
+  };
+
+  /**
+   * Queues a cart mutation, then updates the stored cart and notifies subscribers.
+   * @param {string} type - Mutation type ('add', 'change' or 'update').
+   * @param {string} url - Endpoint url.
+   * @param {(FormData|object)} body - Request body.
+   * @param {object} [options] - Mutation options.
+   * @param {Array} [options.sections] - Ids of the sections to render.
+   * @param {Element} [options.source] - Element which requested the mutation.
+   * @returns {Promise<object>} Resolves with the response data, new cart and previous cart.
+   */
+  const mutate = (type, url, body, options = {}) => enqueue(async () => {
+    // The previous cart is only needed up front to tell new items from existing ones.
+    if (!cart && type === 'add') cart = await fetchCart();
+
+    const previousCart = cart;
+    const data = await post(url, body, options.sections);
+
+    // '/cart/add.js' responds with the added items, the other endpoints with the whole cart.
+    if (type === 'add') {
+      cart = await fetchCart();
+    } else {
+      const { sections, ...newCart } = data;
+      cart = newCart;
+    }
+
+    const detail = {
+      type,
+      cart,
+      previousCart,
+      items: type === 'add' ? (data.items || [data]) : null,
+      sections: data.sections || null,
+      source: options.source || null
+    };
+
+    notify(detail);
+    announce();
+    return { data, cart, previousCart };
+  });
+
+  /**
+   * Returns the latest known cart JSON.
+   * @returns {?object}
+   */
+  theme.cartStore.getCart = () => cart;
+
+  /**
+   * Adds one or more variants to the cart.
+   * @param {(FormData|object)} body - Form data, or an object with an 'items' array.
+   * @param {object} [options] - See mutate().
+   * @returns {Promise<object>}
+   */
+  theme.cartStore.add = (body, options) => mutate('add', theme.routes.cartAdd, body, options);
+
+  /**
+   * Changes the quantity or properties of a single line item.
+   * @param {object} body - Object with a 'line' or 'id' and a 'quantity'.
+   * @param {object} [options] - See mutate().
+   * @returns {Promise<object>}
+   */
+  theme.cartStore.change = (body, options) => mutate('change', theme.routes.cartChange, body, options);
+
+  /**
+   * Updates several line items, the cart note or cart attributes at once.
+   * @param {object} body - Object with 'updates', 'note' and/or 'attributes'.
+   * @param {object} [options] - See mutate().
+   * @returns {Promise<object>}
+   */
+  theme.cartStore.update = (body, options) => mutate('update', theme.routes.cartUpdate, body, options);
+
+  /**
+   * Fetches the latest cart from the server and notifies subscribers.
+   * @returns {Promise<object>}
+   */
+  theme.cartStore.refresh = () => enqueue(async () => {
+    const previousCart = cart;
+    cart = await fetchCart();
+
+    notify({
+      type: 'refresh',
+      cart,
+      previousCart,
+      items: null,
+      sections: null,
+      source: null
+    });
+
+    return { data: cart, cart, previousCart };
+  });
+
+  // The cart may have changed while the page was in the bfcache, so don't trust the stored copy.
+  document.addEventListener('on:bfcache:load-restore', () => {
+    cart = null;
+  });
+
+  /**
+   * Refreshes the cart after it was changed in another tab. The cart drawer and cart page update
+   * themselves on the 'on:cart:change' event, otherwise just the cart icon bubble is updated. The
+   * empty cart page has none of the cart items markup (and isn't listening), so it's reloaded.
+   */
+  const syncRemoteChange = async () => {
+    remoteChangePending = false;
+
+    try {
+      const { cart: latestCart } = await theme.cartStore.refresh();
+
+      const emptyCartItems = document.querySelector('.cc-main-cart cart-items[data-empty="true"]');
+      if (emptyCartItems && latestCart.item_count > 0) {
+        window.location.reload();
+        return;
+      }
+
+      if (document.querySelector('cart-drawer, cart-items')) return;
+
+      const cartIconBubble = document.getElementById('cart-icon-bubble');
+      if (!cartIconBubble) return;
+
+      const response = await fetch('?sections=cart-icon-bubble');
+      if (!response.ok) throw new Error(response.status);
+
+      const sections = await response.json();
+      cartIconBubble.innerHTML = sections['cart-icon-bubble'];
+    } catch (error) {
+      console.log(error); // eslint-disable-line
+    }
+  };
+
+  /**
+   * Handles cart change announcements from other tabs. Hidden tabs wait until they're shown
+   * before fetching the cart.
+   */
+  const handleRemoteChange = () => {
+    cart = null;
+
+    if (document.hidden) {
+      remoteChangePending = true;
+    } else {
+      syncRemoteChange();
+    }
+  };
+
+  if (channel) {
+    channel.addEventListener('message', handleRemoteChange);
+  } else {
+    window.addEventListener('storage', (evt) => {
+      if (evt.key === 'cc-cart-sync') handleRemoteChange();
+    });
+  }
+
+  document.addEventListener('visibilitychange', () => {
+    if (!document.hidden && remoteChangePending) syncRemoteChange();
+  });
+})();
+
 class StoreHeader extends HTMLElement {
   constructor() {
     super();
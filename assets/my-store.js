@@ -0,0 +1,68 @@
+/**
+ * Required translation strings:
+ * - myStore
+ */
+
+if (!customElements.get('my-store-availability')) {
+  class MyStoreAvailability extends HTMLElement {
+    constructor() {
+      super();
+      this.availability = JSON.parse(this.querySelector('script').textContent);
+      this.availableIcon = this.querySelector('.js-my-store-available');
+      this.unavailableIcon = this.querySelector('.js-my-store-unavailable');
+      this.text = this.querySelector('.js-my-store-text');
+
+      this.myStoreChangeHandler = this.update.bind(this);
+      this.variantChangeHandler = this.handleVariantChange.bind(this);
+    }
+
+    connectedCallback() {
+      document.addEventListener('on:my-store:change', this.myStoreChangeHandler);
+      document.addEventListener('on:variant:change', this.variantChangeHandler);
+      this.update();
+    }
+
+    disconnectedCallback() {
+      document.removeEventListener('on:my-store:change', this.myStoreChangeHandler);
+      document.removeEventListener('on:variant:change', this.variantChangeHandler);
+    }
+
+    /**
+     * Handles 'on:variant:change' events, showing the availability of the selected variant.
+     * @param {object} evt - Event object.
+     */
+    handleVariantChange(evt) {
+      const product = this.closest('.js-product');
+      if (!product || !product.contains(evt.target)) return;
+
+      this.dataset.variantId = evt.detail.variant ? evt.detail.variant.id : '';
+      this.update();
+    }
+
+    /**
+     * Shows whether the selected variant can be picked up from the customer's store (or hides the
+     * element if they haven't chosen one).
+     */
+    update() {
+      const myStore = theme.myStore.get();
+      const locations = this.availability[this.dataset.variantId];
+
+      if (!myStore || !locations) {
+        this.hidden = true;
+        return;
+      }
+
+      const available = locations.includes(myStore);
+      const storeName = document.createElement('span');
+      storeName.textContent = myStore;
+
+      this.text.innerHTML = theme.strings.myStore[available ? 'available' : 'unavailable']
+        .replace('[store]', storeName.innerHTML);
+      this.availableIcon.hidden = !available;
+      this.unavailableIcon.hidden = available;
+      this.hidden = false;
+    }
+  }
+
+  customElements.define('my-store-availability', MyStoreAvailability);
+}
@@ -0,0 +1,155 @@
+/* global Modal */
+
+if (!customElements.get('notify-me-dialog')) {
+  class NotifyMeDialog extends Modal {
+    constructor() {
+      super();
+      this.product = this.closest('.js-product');
+      this.form = this.querySelector('.js-notify-form');
+      this.success = this.querySelector('.js-notify-success');
+      this.notifyBtn = this.product.querySelector(`.js-notify-me[data-modal="${this.id}"]`);
+      this.addBtn = this.product.querySelector('.js-product-form-main [name="add"]');
+
+      this.variant = {
+        id: Number(this.dataset.variantId),
+        title: this.dataset.variantTitle,
+        available: this.dataset.variantAvailable === 'true'
+      };
+
+      this.form.addEventListener('submit', this.handleSubmit.bind(this));
+      if (this.notifyBtn) {
+        this.notifyBtn.addEventListener('click', () => this.open(this.notifyBtn));
+      }
+
+      this.variantChangeHandler = this.handleVariantChange.bind(this);
+      this.update();
+    }
+
+    connectedCallback() {
+      document.addEventListener('on:variant:change', this.variantChangeHandler);
+    }
+
+    disconnectedCallback() {
+      document.removeEventListener('on:variant:change', this.variantChangeHandler);
+    }
+
+    /**
+     * Handles 'on:variant:change' events, updating the buttons for the selected variant.
+     * @param {object} evt - Event object.
+     */
+    handleVariantChange(evt) {
+      if (!this.product.contains(evt.target)) return;
+
+      this.variant = evt.detail.variant;
+      this.update();
+    }
+
+    /**
+     * Handles submission of the signup form. The form is submitted normally if it can't be sent in
+     * the background (e.g. when Shopify asks the customer to complete a captcha).
+     * @param {object} evt - Event object.
+     */
+    async handleSubmit(evt) {
+      evt.preventDefault();
+
+      const submitBtn = this.form.querySelector('[type="submit"]');
+      const { tag, productTitle } = this.dataset;
+      const variantTitle = NotifyMeDialog.isDefaultVariant(this.variant)
+        ? ''
+        : ` - ${this.variant.title}`;
+
+      // The tag lets the merchant filter these messages from other contact form messages.
+      this.form.querySelector('.js-notify-variant-id').value = this.variant.id;
+      this.form.querySelector('.js-notify-body').value = `[${tag}] ${productTitle}${variantTitle} `
+        + `(variant ID: ${this.variant.id})`;
+
+      submitBtn.disabled = true;
+      submitBtn.classList.add('is-loading');
+
+      try {
+        const response = await fetch(this.form.action, {
+          method: 'POST',
+          body: new FormData(this.form)
+        });
+
+        // Shopify only redirects to the 'return_to' url once the message has been sent.
+        if (!response.ok || !response.url.includes('contact_posted=true')) {
+          throw new Error(response.status);
+        }
+
+        NotifyMeDialog.addVariant(this.variant.id);
+        this.update();
+
+        this.form.hidden = true;
+        this.success.hidden = false;
+        this.success.focus();
+      } catch (error) {
+        this.form.submit();
+      } finally {
+        submitBtn.classList.remove('is-loading');
+        submitBtn.disabled = false;
+      }
+    }
+
+    /**
+     * Opens the modal, showing the form for the selected variant.
+     * @param {Element} opener - Modal opener element.
+     */
+    open(opener) {
+      const variantTitle = this.querySelector('.js-notify-variant-title');
+      variantTitle.textContent = `- ${this.variant.title}`;
+      variantTitle.hidden = NotifyMeDialog.isDefaultVariant(this.variant);
+
+      this.form.hidden = false;
+      this.success.hidden = true;
+      super.open(opener);
+    }
+
+    /**
+     * Shows the "Notify me" button in place of the "Add to cart" button when the selected variant
+     * is sold out, or that the customer will be emailed if they've already signed up for it.
+     */
+    update() {
+      if (!this.notifyBtn) return;
+
+      const soldOut = Boolean(this.variant && !this.variant.available);
+      const signedUp = soldOut && NotifyMeDialog.getVariants().includes(this.variant.id);
+
+      if (this.addBtn) this.addBtn.hidden = soldOut;
+      this.notifyBtn.hidden = !soldOut;
+      this.notifyBtn.disabled = signedUp;
+      this.notifyBtn.textContent = signedUp
+        ? this.notifyBtn.dataset.signedUpText
+        : this.notifyBtn.dataset.notifyText;
+    }
+
+    /**
+     * Returns whether a variant is the only (default) variant of its product.
+     * @param {object} variant - Variant object.
+     * @returns {boolean}
+     */
+    static isDefaultVariant(variant) {
+      return variant.title === 'Default Title';
+    }
+
+    /**
+     * Returns the ids of the variants the customer has signed up to be notified about.
+     * @returns {Array}
+     */
+    static getVariants() {
+      return theme.storageUtil.get('notify-me', true) || [];
+    }
+
+    /**
+     * Remembers that the customer has signed up to be notified about a variant.
+     * @param {number} variantId - Variant id.
+     */
+    static addVariant(variantId) {
+      const variants = NotifyMeDialog.getVariants();
+      if (!variants.includes(variantId)) variants.push(variantId);
+      theme.storageUtil.set('notify-me', variants);
+    }
+  }
+
+  customElements.define('notify-me-dialog', NotifyMeDialog);
+}
@@ -2,6 +2,7 @@ if (!customElements.get('pickup-availability')) {
   class PickupAvailability extends HTMLElement {
     constructor() {
       super();
+      this.myStoreChangeHandler = this.handleMyStoreChange.bind(this);
       if (!this.hasAttribute('available')) return;
 
       this.refreshHandler = this.handleRefreshBtnClick.bind(this);
@@ -10,6 +11,14 @@ if (!customElements.get('pickup-availability')) {
       this.getAvailability(this.dataset.variantId);
     }
 
+    connectedCallback() {
+      document.addEventListener('on:my-store:change', this.myStoreChangeHandler);
+    }
+
+    disconnectedCallback() {
+      document.removeEventListener('on:my-store:change', this.myStoreChangeHandler);
+    }
+
     /**
      * Handles 'click' events on the refresh button.
      */
@@ -17,6 +26,39 @@ if (!customElements.get('pickup-availability')) {
       this.getAvailability(this.dataset.variantId);
     }
 
+    /**
+     * Handles 'on:my-store:change' events, showing the status of the chosen store.
+     */
+    handleMyStoreChange() {
+      if (!this.drawer) return;
+
+      this.updateMyStoreBtns();
+      this.showStatus();
+    }
+
+    /**
+     * Handles 'submit' events on the postcode search form.
+     * @param {object} evt - Event object.
+     */
+    handleSearchSubmit(evt) {
+      evt.preventDefault();
+
+      const postcode = this.drawer.querySelector('.js-pickup-postcode').value.trim();
+      const found = this.sortByDistance(postcode);
+
+      this.drawer.querySelector('.js-pickup-postcode-error').hidden = found || !postcode;
+      if (found) theme.storageUtil.set('pickup-postcode', postcode);
+    }
+
+    /**
+     * Handles 'click' events on the pickup locations list.
+     * @param {object} evt - Event object.
+     */
+    static handleLocationsClick(evt) {
+      const myStoreBtn = evt.target.closest('.js-set-my-store');
+      if (myStoreBtn) theme.myStore.set(myStoreBtn.dataset.location);
+    }
+
     /**
      * Gets pick up availability for the current variant.
      * @param {string} variantId - Current variant id.
@@ -47,6 +89,7 @@ if (!customElements.get('pickup-availability')) {
     renderPickupInfo(sectionHtml) {
       const drawer = document.querySelector('.js-pickup-drawer');
       if (drawer) drawer.remove();
+      this.drawer = null;
 
       if (!sectionHtml.querySelector('.pickup-status')) {
         this.innerHTML = '';
@@ -56,14 +99,108 @@ if (!customElements.get('pickup-availability')) {
 
       this.setAttribute('available', '');
       this.innerHTML = sectionHtml.querySelector('.pickup-status').outerHTML;
-      document.body.appendChild(sectionHtml.querySelector('.js-pickup-drawer'));
+      this.drawer = sectionHtml.querySelector('.js-pickup-drawer');
+      document.body.appendChild(this.drawer);
 
-      const showDetailsBtn = this.querySelector('.js-show-pickup-info');
-      if (showDetailsBtn) {
+      this.querySelectorAll('.js-show-pickup-info').forEach((showDetailsBtn) => {
         showDetailsBtn.addEventListener('click', () => {
           document.querySelector('.js-pickup-drawer').open(showDetailsBtn);
         });
+      });
+
+      const storeLocations = this.drawer.querySelector('.js-store-locations');
+      if (storeLocations) {
+        this.storeLocations = JSON.parse(storeLocations.textContent);
+
+        const searchForm = this.drawer.querySelector('.js-pickup-search');
+        searchForm.addEventListener('submit', this.handleSearchSubmit.bind(this));
+
+        // Sort the locations by distance from the postcode the customer entered last time.
+        const postcode = theme.storageUtil.get('pickup-postcode');
+        if (postcode) {
+          this.drawer.querySelector('.js-pickup-postcode').value = postcode;
+          this.sortByDistance(postcode);
+        }
       }
+
+      this.drawer.querySelector('.js-pickup-locations')
+        .addEventListener('click', PickupAvailability.handleLocationsClick);
+
+      this.updateMyStoreBtns();
+      this.showStatus();
+    }
+
+    /**
+     * Shows the status of the customer's "My store" if it's a pickup location for the product,
+     * otherwise the status of the first location in the list (the nearest, if they're sorted).
+     */
+    showStatus() {
+      const statuses = Array.from(this.querySelectorAll('.js-pickup-status'));
+      if (statuses.length === 0) return;
+
+      const findStatus = (location) => statuses.find((el) => el.dataset.location === location);
+      const firstLocation = this.drawer.querySelector('.js-pickup-locations > li');
+      const status = findStatus(theme.myStore.get())
+        || (firstLocation && findStatus(firstLocation.dataset.location))
+        || statuses[0];
+
+      statuses.forEach((el) => {
+        el.hidden = el !== status;
+      });
+    }
+
+    /**
+     * Updates the "Set as my store" buttons to show which location is the customer's store.
+     */
+    updateMyStoreBtns() {
+      const myStore = theme.myStore.get();
+
+      this.drawer.querySelectorAll('.js-set-my-store').forEach((btn) => {
+        const isMyStore = btn.dataset.location === myStore;
+        const labels = btn.querySelectorAll('.js-my-store-label');
+
+        btn.setAttribute('aria-pressed', isMyStore);
+        labels[0].hidden = isMyStore;
+        labels[1].hidden = !isMyStore;
+      });
+    }
+
+    /**
+     * Sorts the pickup locations by distance from a postcode, showing the distance to each.
+     * @param {string} postcode - Postcode entered by the customer.
+     * @returns {boolean} Whether the postcode could be located.
+     */
+    sortByDistance(postcode) {
+      const origin = PickupAvailability.geocode(postcode, this.storeLocations.postcodes);
+      if (!origin) return false;
+
+      const list = this.drawer.querySelector('.js-pickup-locations');
+      const locations = this.storeLocations.locations || {};
+      const formatter = new Intl.NumberFormat(document.documentElement.lang || undefined, {
+        style: 'unit',
+        unit: this.dataset.distanceUnit || 'kilometer',
+        maximumFractionDigits: 1
+      });
+
+      const items = Array.from(list.children).map((item) => {
+        const coords = locations[item.dataset.location];
+        const distance = coords
+          ? PickupAvailability.getDistance(origin, coords, this.dataset.distanceUnit)
+          : Infinity;
+        const distanceEl = item.querySelector('.js-pickup-distance');
+
+        distanceEl.textContent = coords ? formatter.format(distance) : '';
+        distanceEl.hidden = !coords;
+        return { item, distance };
+      });
+
+      // Locations without coordinates are kept in their original order, after the others.
+      items
+        .sort((a, b) => (a.distance === b.distance ? 0 : a.distance - b.distance))
+        .forEach(({ item }) => list.appendChild(item));
+
+      this.showStatus();
+      return true;
     }
 
     /**
@@ -74,6 +211,43 @@ if (!customElements.get('pickup-availability')) {
       this.appendChild(this.unavailableHtml);
       this.querySelector('.js-refresh').addEventListener('click', this.refreshHandler);
     }
+
+    /**
+     * Finds the coordinates of a postcode, using the longest matching postcode (or postcode area)
+     * in the merchant's list (e.g. 'SW1A 1AA' matches 'SW1A', then 'SW1').
+     * @param {string} postcode - Postcode to locate.
+     * @param {object} postcodes - Coordinates ({ lat, lng }) by postcode.
+     * @returns {?object} Coordinates of the postcode.
+     */
+    static geocode(postcode, postcodes) {
+      const normalize = (value) => value.toUpperCase().replace(/[\s-]/g, '');
+      const value = normalize(postcode);
+      if (!value || !postcodes) return null;
+
+      const match = Object.keys(postcodes)
+        .filter((key) => normalize(key) && value.startsWith(normalize(key)))
+        .sort((a, b) => normalize(b).length - normalize(a).length)[0];
+
+      return match ? postcodes[match] : null;
+    }
+
+    /**
+     * Returns the distance between two points as the crow flies (using the haversine formula).
+     * @param {object} from - Coordinates ({ lat, lng }).
+     * @param {object} to - Coordinates ({ lat, lng }).
+     * @param {string} [unit='kilometer'] - 'kilometer' or 'mile'.
+     * @returns {number}
+     */
+    static getDistance(from, to, unit = 'kilometer') {
+      const radius = unit === 'mile' ? 3958.8 : 6371;
+      const toRadians = (degrees) => (Number(degrees) * Math.PI) / 180;
+      const dLat = toRadians(to.lat - from.lat);
+      const dLng = toRadians(to.lng - from.lng);
+      const a = Math.sin(dLat / 2) ** 2
+        + Math.cos(toRadians(from.lat)) * Math.cos(toRadians(to.lat)) * Math.sin(dLng / 2) ** 2;
+
+      return 2 * radius * Math.asin(Math.sqrt(a));
+    }
   }
 
   customElements.define('pickup-availability', PickupAvailability);
@@ -0,0 +1,268 @@
+/**
+ * Dependencies:
+ * - formatMoney()
+ * - product-form.js
+ *
+ * Required translation strings:
+ * - cartError
+ */
+
+if (!customElements.get('product-bundle')) {
+  class ProductBundle extends HTMLElement {
+    constructor() {
+      super();
+      this.items = this.querySelectorAll('.js-bundle-item');
+      this.total = this.querySelector('.js-bundle-total');
+      this.errorMsg = this.querySelector('.js-bundle-error');
+      this.addBtn = this.querySelector('.js-bundle-add');
+      this.cartDrawer = document.querySelector('cart-drawer');
+      this.section = this.closest('.shopify-section');
+
+      this.addEventListener('change', this.handleChange.bind(this));
+      this.addBtn.addEventListener('click', this.handleAdd.bind(this));
+    }
+
+    connectedCallback() {
+      if (this.section && this.querySelector('[data-current-product]')) {
+        this.variantChangeHandler = this.handleVariantChange.bind(this);
+        this.section.addEventListener('on:variant:change', this.variantChangeHandler);
+      }
+    }
+
+    disconnectedCallback() {
+      if (this.variantChangeHandler) {
+        this.section.removeEventListener('on:variant:change', this.variantChangeHandler);
+      }
+    }
+
+    /**
+     * Handles 'change' events on the item checkboxes and variant selectors.
+     * @param {object} evt - Event object.
+     */
+    handleChange(evt) {
+      if (evt.target.matches('.js-bundle-variant')) {
+        const option = evt.target.selectedOptions[0];
+        this.setItemVariant(evt.target.closest('.js-bundle-item'), {
+          id: option.value,
+          price: option.dataset.price,
+          available: !option.disabled
+        });
+      }
+
+      this.updateTotal();
+    }
+
+    /**
+     * Handles 'on:variant:change' events, keeping the "This item" row in sync with the variant
+     * selected on the page.
+     * @param {object} evt - Event object.
+     */
+    handleVariantChange(evt) {
+      const item = this.querySelector('[data-current-product]');
+      const { variant } = evt.detail;
+
+      this.setItemVariant(item, variant || { id: '', price: 0, available: false });
+
+      const variantTitle = item.querySelector('.js-bundle-variant-title');
+      if (variantTitle) variantTitle.textContent = variant ? variant.title : '';
+
+      this.updateTotal();
+    }
+
+    /**
+     * Sets the variant of an item, updating its price and checkbox state.
+     * @param {Element} item - Item element.
+     * @param {object} variant - Variant data.
+     * @param {(number|string)} variant.id - Variant id.
+     * @param {(number|string)} variant.price - Variant price (in cents).
+     * @param {boolean} variant.available - Whether the variant can be added to the cart.
+     */
+    setItemVariant(item, variant) {
+      const checkbox = item.querySelector('.js-bundle-checkbox');
+      const wasDisabled = checkbox.disabled;
+
+      item.dataset.variantId = variant.id;
+      item.dataset.price = variant.price;
+      item.querySelector('.js-bundle-price').innerHTML = formatMoney(Number(variant.price));
+
+      checkbox.disabled = !variant.available;
+      if (!variant.available) {
+        checkbox.checked = false;
+      } else if (wasDisabled) {
+        checkbox.checked = true;
+      }
+    }
+
+    /**
+     * Returns the items which are checked (and have an available variant).
+     * @returns {Array}
+     */
+    getSelectedItems() {
+      return Array.from(this.items).filter((item) => {
+        const checkbox = item.querySelector('.js-bundle-checkbox');
+        return checkbox.checked && !checkbox.disabled && item.dataset.variantId;
+      });
+    }
+
+    /**
+     * Updates the combined price of the selected items and the state of the "Add" button.
+     */
+    updateTotal() {
+      const selectedItems = this.getSelectedItems();
+      const total = selectedItems.reduce((sum, item) => sum + Number(item.dataset.price), 0);
+
+      this.total.innerHTML = formatMoney(total);
+      this.addBtn.disabled = selectedItems.length === 0;
+    }
+
+    /**
+     * Handles 'click' events on the "Add" button, adding all the selected variants to the cart in
+     * a single request.
+     */
+    async handleAdd() {
+      const selectedItems = this.getSelectedItems();
+      if (selectedItems.length === 0 || this.addBtn.getAttribute('aria-disabled') === 'true') return;
+
+      // The product of the page is added with the options chosen in its product form.
+      const productForm = selectedItems.some((item) => item.dataset.currentProduct)
+        ? this.getProductForm() : null;
+      if (productForm && (!productForm.validateCustomOptions()
+        || !productForm.validateGiftCardRecipient())) return;
+
+      if (theme.settings.vibrateOnATC && window.navigator.vibrate) {
+        window.navigator.vibrate(100);
+      }
+
+      this.setErrorMsgState();
+
+      // Disable the "Add" button until submission is complete.
+      this.addBtn.setAttribute('aria-disabled', 'true');
+      this.addBtn.classList.add('is-loading');
+
+      const formData = ProductBundle.getFormData(selectedItems, productForm);
+      const sections = ['cart-icon-bubble'];
+      if (this.cartDrawer) {
+        sections.push(this.cartDrawer.closest('.shopify-section').id.replace('shopify-section-', ''));
+      }
+
+      try {
+        const { data, cart, previousCart } = await theme.cartStore.add(formData, {
+          sections,
+          source: this
+        });
+
+        customElements.get('product-form').handleAddedToCart(
+          data,
+          cart,
+          theme.settings.afterAtc === 'drawer'
+        );
+
+        this.dispatchAddEvents(data.items, cart, previousCart);
+      } catch (error) {
+        this.setErrorMsgState(
+          /^[0-9]+$/.test(error.message) ? theme.strings.cartError : error.message
+        );
+
+        console.log(error); // eslint-disable-line
+        this.dispatchEvent(new CustomEvent('on:cart:error', {
+          bubbles: true,
+          detail: {
+            error: this.errorMsg.textContent
+          }
+        }));
+      } finally {
+        // Re-enable the "Add" button.
+        this.addBtn.classList.add('is-success');
+        this.addBtn.removeAttribute('aria-disabled');
+        setTimeout(() => {
+          this.addBtn.classList.remove('is-loading');
+          this.addBtn.classList.remove('is-success');
+        }, 1400);
+      }
+    }
+
+    /**
+     * Returns the product form of the page's product (the "This item" row).
+     * @returns {?Element}
+     */
+    getProductForm() {
+      const form = this.section ? this.section.querySelector('.js-product-form-main') : null;
+      return form ? form.closest('product-form') : null;
+    }
+
+    /**
+     * Returns the form data to add the selected items with, one quantity of each. The page's
+     * product also gets the properties (custom options, gift card recipient) and selling plan of
+     * its product form.
+     * @param {Array} selectedItems - Selected item elements.
+     * @param {?Element} productForm - Product form of the page's product.
+     * @returns {FormData}
+     */
+    static getFormData(selectedItems, productForm) {
+      const formData = new FormData();
+
+      selectedItems.forEach((item, index) => {
+        const prefix = `items[${index}]`;
+        formData.append(`${prefix}[id]`, item.dataset.variantId);
+        formData.append(`${prefix}[quantity]`, 1);
+
+        if (!item.dataset.currentProduct || !productForm) return;
+
+        // e.g. 'properties[Engraving]' is added as 'items[0][properties][Engraving]'.
+        new FormData(productForm.form).forEach((value, name) => {
+          if (name === 'selling_plan' || name.startsWith('properties[')) {
+            formData.append(`${prefix}${name.replace(/^([^[]+)/, '[$1]')}`, value);
+          }
+        });
+      });
+
+      return formData;
+    }
+
+    /**
+     * Dispatches an 'on:line-item:change' event for each added variant which was already in the
+     * cart, and an 'on:cart:add' event for each one which wasn't (as a single add does).
+     * @param {Array} addedItems - Items from the '/cart/add.js' response.
+     * @param {object} cart - Cart JSON after the add.
+     * @param {object} previousCart - Cart JSON before the add.
+     */
+    dispatchAddEvents(addedItems, cart, previousCart) {
+      addedItems.forEach((addedItem) => {
+        const itemInOldCart = previousCart.items.filter(
+          (item) => item.variant_id === addedItem.variant_id
+        )[0];
+
+        if (itemInOldCart) {
+          this.dispatchEvent(new CustomEvent('on:line-item:change', {
+            bubbles: true,
+            detail: {
+              cart,
+              variantId: addedItem.variant_id,
+              oldQuantity: itemInOldCart.quantity,
+              newQuantity: addedItem.quantity
+            }
+          }));
+        } else {
+          this.dispatchEvent(new CustomEvent('on:cart:add', {
+            bubbles: true,
+            detail: {
+              cart,
+              variantId: addedItem.variant_id
+            }
+          }));
+        }
+      });
+    }
+
+    /**
+     * Shows/hides an error message.
+     * @param {string} [error=false] - Error to show a message for.
+     */
+    setErrorMsgState(error = false) {
+      this.errorMsg.hidden = !error;
+      this.errorMsg.textContent = error || '';
+    }
+  }
+
+  customElements.define('product-bundle', ProductBundle);
+}
@@ -28,6 +28,7 @@ if (!customElements.get('product-form')) {
       evt.preventDefault();
 
       if (this.submitBtn.getAttribute('aria-disabled') === 'true') return;
+      if (!this.validateCustomOptions() || !this.validateGiftCardRecipient()) return;
 
       if (theme.settings.vibrateOnATC && window.navigator.vibrate) {
         window.navigator.vibrate(100);
@@ -41,76 +42,28 @@ if (!customElements.get('product-form')) {
       this.submitBtn.classList.add('is-loading');
 
       const formData = new FormData(this.form);
-      let sections = 'cart-icon-bubble';
+      const sections = ['cart-icon-bubble'];
       if (this.cartDrawer) {
-        sections += `,${this.cartDrawer.closest('.shopify-section').id.replace('shopify-section-', '')}`;
+        sections.push(this.cartDrawer.closest('.shopify-section').id.replace('shopify-section-', ''));
       }
 
-      formData.append('sections_url', window.location.pathname);
-      formData.append('sections', sections);
-
-      const fetchRequestOpts = {
-        method: 'POST',
-        headers: {
-          Accept: 'application/javascript',
-          'X-Requested-With': 'XMLHttpRequest'
-        },
-        body: formData
-      };
-
       try {
-        const oldCartResponse = await fetch(`${theme.routes.cart}.js`);
-        if (!oldCartResponse.ok) throw new Error(oldCartResponse.status);
-        const oldCartData = await oldCartResponse.json();
-
-        const response = await fetch(theme.routes.cartAdd, fetchRequestOpts);
-        const data = await response.json();
-        let error = typeof data.description === 'string' ? data.description : data.message;
-        if (data.errors && typeof data.errors === 'object') {
-          error = Object.entries(data.errors).map((item) => item[1].join(', '));
-        }
-
-        if (data.status) this.setErrorMsgState(error);
+        const { data, cart, previousCart } = await theme.cartStore.add(formData, {
+          sections,
+          source: this
+        });
 
-        if (!response.ok) throw new Error(response.status);
+        // If item was added from Quick Add drawer, show "Added to cart" message.
+        const quickAddDrawer = this.closest('quick-add-drawer');
+        if (quickAddDrawer && theme.settings.afterAtc !== 'page') quickAddDrawer.addedToCart();
 
-        if (theme.settings.afterAtc === 'page') {
-          // Allow the tick animation to complete
-          setTimeout(() => {
-            window.location.href = theme.routes.cart;
-          }, 300);
-        } else {
-          // Update cart icon count.
-          ProductForm.updateCartIcon(data);
-
-          // If item was added from Quick Add drawer, show "Added to cart" message.
-          const quickAddDrawer = this.closest('quick-add-drawer');
-          if (quickAddDrawer) quickAddDrawer.addedToCart();
-
-          setTimeout(() => {
-            // Update cart drawer contents.
-            if (this.cartDrawer) {
-              this.cartDrawer.renderContents(
-                data,
-                !quickAddDrawer && theme.settings.afterAtc === 'drawer'
-              );
-            } else if (window.location.pathname === theme.routes.cart) {
-              const cartItems = document.querySelector('cart-items');
-              if (cartItems) {
-                if (cartItems.dataset.empty === 'true') {
-                  window.location.reload();
-                } else {
-                  cartItems.refresh();
-                }
-              }
-            }
-          }, 700);
-        }
+        ProductForm.handleAddedToCart(
+          data,
+          cart,
+          !quickAddDrawer && theme.settings.afterAtc === 'drawer'
+        );
 
-        const newCartResponse = await fetch(`${theme.routes.cart}.js`);
-        if (!newCartResponse.ok) throw new Error(newCartResponse.status);
-        const newCartData = await newCartResponse.json();
-        const itemInOldCart = oldCartData.items.filter(
+        const itemInOldCart = previousCart.items.filter(
           (item) => item.variant_id === data.variant_id
         )[0];
 
@@ -119,7 +72,7 @@ if (!customElements.get('product-form')) {
           this.dispatchEvent(new CustomEvent('on:line-item:change', {
             bubbles: true,
             detail: {
-              cart: newCartData,
+              cart,
               variantId: data.variant_id,
               oldQuantity: itemInOldCart.quantity,
               newQuantity: (itemInOldCart.quantity === data.quantity)
@@ -130,12 +83,16 @@ if (!customElements.get('product-form')) {
           this.dispatchEvent(new CustomEvent('on:cart:add', {
             bubbles: true,
             detail: {
-              cart: newCartData,
+              cart,
               variantId: data.variant_id
             }
           }));
         }
       } catch (error) {
+        if (error.data && error.data.status) {
+          this.setErrorMsgState(ProductForm.getErrorMessages(error.data));
+        }
+
         console.log(error); // eslint-disable-line
         this.dispatchEvent(new CustomEvent('on:cart:error', {
           bubbles: true,
@@ -154,6 +111,88 @@ if (!customElements.get('product-form')) {
       }
     }
 
+    /**
+     * Checks the custom options (line item properties) of the form, focusing the first invalid one.
+     * @returns {boolean} Whether all the custom options are valid.
+     */
+    validateCustomOptions() {
+      const invalidOptions = Array.from(
+        document.querySelectorAll(`custom-option[data-form-id="${this.form.id}"]`)
+      ).filter((customOption) => !customOption.validate());
+
+      if (invalidOptions.length === 0) return true;
+
+      invalidOptions[0].querySelector('.js-custom-option-input').focus();
+      return false;
+    }
+
+    /**
+     * Checks the gift card recipient fields of the form (if it has them).
+     * @returns {boolean} Whether the recipient fields are valid.
+     */
+    validateGiftCardRecipient() {
+      const giftCardRecipient = this.form.querySelector('gift-card-recipient');
+      return !giftCardRecipient || typeof giftCardRecipient.validate !== 'function'
+        || giftCardRecipient.validate();
+    }
+
+    /**
+     * Gets the error message(s) from a failed '/cart/add.js' response.
+     * @param {object} data - Response JSON.
+     * @returns {(string|Array)}
+     */
+    static getErrorMessages(data) {
+      if (data.errors && typeof data.errors === 'object') {
+        return Object.entries(data.errors).map((item) => item[1].join(', '));
+      }
+
+      return typeof data.description === 'string' ? data.description : data.message;
+    }
+
+    /**
+     * Updates the page after an add to cart: goes to the cart page, or updates the cart icon and
+     * then (once the button's tick animation has shown) the cart drawer or cart page.
+     * @param {object} data - Response JSON, with the rendered cart sections.
+     * @param {object} cart - Cart JSON after the add.
+     * @param {boolean} [openDrawer=true] - Open the cart drawer after rendering it.
+     */
+    static handleAddedToCart(data, cart, openDrawer = true) {
+      if (theme.settings.afterAtc === 'page') {
+        // Allow the tick animation to complete
+        setTimeout(() => {
+          window.location.href = theme.routes.cart;
+        }, 300);
+        return;
+      }
+
+      // Update cart icon count.
+      ProductForm.updateCartIcon(data);
+
+      setTimeout(async () => {
+        const cartDrawer = document.querySelector('cart-drawer');
+
+        // Update cart drawer contents. If the cart has changed again since (e.g. a free gift was
+        // added), these sections are out of date, so the latest ones are rendered instead.
+        if (cartDrawer) {
+          if (theme.cartStore.getCart() === cart) {
+            cartDrawer.renderContents(data, openDrawer);
+          } else {
+            await cartDrawer.refresh();
+            if (openDrawer && cartDrawer.getAttribute('open') === null) cartDrawer.open();
+          }
+        } else if (window.location.pathname === theme.routes.cart) {
+          const cartItems = document.querySelector('cart-items');
+          if (cartItems) {
+            if (cartItems.dataset.empty === 'true') {
+              window.location.reload();
+            } else {
+              cartItems.refresh();
+            }
+          }
+        }
+      }, 700);
+    }
+
     /**
      * Updates the cart icon count in the header.
      * @param {object} response - Response JSON.
@@ -0,0 +1,89 @@
+/**
+ * Dependencies:
+ * - formatMoney()
+ */
+
+if (!customElements.get('quantity-breaks')) {
+  class QuantityBreaks extends HTMLElement {
+    constructor() {
+      super();
+      this.rows = this.querySelector('.js-quantity-breaks-rows');
+      this.section = this.closest('.js-product');
+      this.changeHandler = this.updateActiveTier.bind(this);
+    }
+
+    connectedCallback() {
+      const data = this.querySelector('.js-quantity-breaks-data');
+      this.input = this.dataset.inputId ? document.getElementById(this.dataset.inputId) : null;
+
+      if (this.input) this.input.addEventListener('change', this.changeHandler);
+
+      if (data && this.section) {
+        this.variantBreaks = JSON.parse(data.textContent);
+        this.variantChangeHandler = this.handleVariantChange.bind(this);
+        this.section.addEventListener('on:variant:change', this.variantChangeHandler);
+      }
+    }
+
+    disconnectedCallback() {
+      if (this.input) this.input.removeEventListener('change', this.changeHandler);
+
+      if (this.variantChangeHandler) {
+        this.section.removeEventListener('on:variant:change', this.variantChangeHandler);
+      }
+    }
+
+    /**
+     * Handles 'on:variant:change' events, showing the volume pricing of the selected variant.
+     * @param {object} evt - Event object.
+     */
+    handleVariantChange(evt) {
+      const { variant } = evt.detail;
+      const variantBreaks = variant ? this.variantBreaks[variant.id] : null;
+
+      this.hidden = !variantBreaks || variantBreaks.breaks.length === 0;
+      if (this.hidden) return;
+
+      this.renderTiers(variantBreaks);
+      this.updateActiveTier();
+    }
+
+    /**
+     * Renders a table row for each pricing tier of a variant.
+     * @param {object} variantBreaks - Minimum quantity, price and price breaks of the variant.
+     */
+    renderTiers(variantBreaks) {
+      const tiers = [
+        { quantity: variantBreaks.min, price: variantBreaks.price },
+        ...variantBreaks.breaks
+      ];
+
+      this.rows.innerHTML = '';
+      tiers.forEach((tier) => {
+        const row = this.rows.insertRow();
+        row.className = 'quantity-breaks__tier';
+        row.dataset.quantity = tier.quantity;
+        row.insertCell().textContent = this.dataset.tierLabel.replace('[quantity]', tier.quantity);
+
+        const priceCell = row.insertCell();
+        priceCell.className = 'text-end';
+        priceCell.innerHTML = formatMoney(tier.price);
+      });
+    }
+
+    /**
+     * Highlights the highest tier reached by the current quantity.
+     */
+    updateActiveTier() {
+      const rows = Array.from(this.rows.rows);
+      if (rows.length === 0) return;
+
+      const qty = this.input ? Number(this.input.value) : Number(rows[0].dataset.quantity);
+      const activeRow = rows.filter((row) => Number(row.dataset.quantity) <= qty).pop();
+
+      rows.forEach((row) => row.classList.toggle('is-active', row === activeRow));
+    }
+  }
+
+  customElements.define('quantity-breaks', QuantityBreaks);
+}
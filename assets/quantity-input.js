@@ -2,14 +2,33 @@ class QuantityInput extends HTMLElement {
   constructor() {
     super();
     this.input = this.querySelector('.qty-input__input');
+    this.message = document.getElementById(`${this.input.id}-message`);
     this.currentQty = this.input.value;
     this.changeEvent = new Event('change', { bubbles: true });
 
     this.addEventListener('click', this.handleClick.bind(this));
+    this.input.addEventListener('change', this.handleChange.bind(this));
     this.input.addEventListener('focus', QuantityInput.handleFocus);
     this.input.addEventListener('keydown', this.handleKeydown.bind(this));
   }
 
+  connectedCallback() {
+    const rulesData = this.querySelector('.js-qty-rules');
+    this.section = this.closest('.js-product');
+
+    if (rulesData && this.section) {
+      this.variantRules = JSON.parse(rulesData.textContent);
+      this.variantChangeHandler = this.handleVariantChange.bind(this);
+      this.section.addEventListener('on:variant:change', this.variantChangeHandler);
+    }
+  }
+
+  disconnectedCallback() {
+    if (this.variantChangeHandler) {
+      this.section.removeEventListener('on:variant:change', this.variantChangeHandler);
+    }
+  }
+
   /**
    * Handles 'click' events on the quantity input element.
    * @param {object} evt - Event object.
@@ -32,6 +51,80 @@ class QuantityInput extends HTMLElement {
     }
   }
 
+  /**
+   * Handles 'change' events on the input field. Runs before the listeners of any ancestors, so
+   * they only see a quantity which meets the quantity rules of the variant.
+   */
+  handleChange() {
+    this.applyRules(true);
+  }
+
+  /**
+   * Handles 'on:variant:change' events, switching to the quantity rules of the selected variant.
+   * @param {object} evt - Event object.
+   */
+  handleVariantChange(evt) {
+    const { variant } = evt.detail;
+    const rules = variant ? this.variantRules[variant.id] : null;
+    if (!rules) return;
+
+    this.input.min = rules.min;
+    this.input.step = rules.increment;
+    this.input.dataset.min = rules.min;
+
+    if (rules.max) {
+      this.input.max = rules.max;
+    } else {
+      this.input.removeAttribute('max');
+    }
+
+    // Let other listeners (e.g. the price breaks table) know if the quantity had to change.
+    if (this.applyRules(false)) this.input.dispatchEvent(this.changeEvent);
+  }
+
+  /**
+   * Snaps the quantity to the nearest one allowed by the quantity rules (min, max and increment).
+   * @param {boolean} showMessage - Explain why the quantity was changed.
+   * @returns {boolean} Whether the quantity was changed.
+   */
+  applyRules(showMessage) {
+    const qty = Number(this.input.value);
+    if (this.input.value === '' || Number.isNaN(qty)) return false;
+
+    // Cart quantity inputs allow 0 (to remove the item), so the rule minimum is stored separately.
+    const min = Number(this.input.dataset.min || this.input.min || 1);
+    const max = Number(this.input.max) || Infinity;
+    const increment = Number(this.input.step) || 1;
+    let snappedQty = qty;
+    let message = null;
+
+    if (qty === 0 && Number(this.input.min) === 0) {
+      snappedQty = 0;
+    } else if (qty < min) {
+      snappedQty = min;
+      message = theme.strings.qtyRules.min.replace('[quantity]', min);
+    } else if (qty > max) {
+      snappedQty = max;
+      message = theme.strings.qtyRules.max.replace('[quantity]', max);
+    } else if (qty % increment !== 0) {
+      snappedQty = Math.round(qty / increment) * increment;
+      message = theme.strings.qtyRules.increment.replace('[quantity]', increment);
+    }
+
+    if (this.message) {
+      this.message.hidden = !showMessage || !message;
+      this.message.textContent = showMessage && message
+        ? `${theme.strings.qtyRules.adjusted.replace('[quantity]', snappedQty)} ${message}`
+        : '';
+    }
+
+    if (snappedQty === qty) return false;
+
+    this.input.value = snappedQty;
+    this.currentQty = this.input.value;
+    return true;
+  }
+
   /**
    * Handles 'focus' events on the quantity input element.
    * @param {object} evt - Event object.
@@ -1,4 +1,4 @@
-/* global SideDrawer */
+/* global SideDrawer, trapFocus */
 
 if (!customElements.get('quick-add-drawer')) {
   class QuickAddDrawer extends SideDrawer {
@@ -192,6 +192,32 @@ if (!customElements.get('quick-add-drawer')) {
       opener.removeAttribute('aria-disabled');
     }
 
+    /**
+     * Shows another product in the open drawer (e.g. a sibling product chosen in the variant
+     * picker).
+     * @param {string} productUrl - Url of the product.
+     */
+    async showProduct(productUrl) {
+      this.productUrl = productUrl;
+      this.classList.add('is-loading');
+      this.content.classList.add('drawer__content--out');
+      this.footer.classList.add('drawer__footer--out');
+
+      try {
+        const response = await fetch(productUrl);
+        if (!response.ok) throw new Error(response.status);
+
+        const tmpl = document.createElement('template');
+        tmpl.innerHTML = await response.text();
+        this.productEl = tmpl.content.querySelector('.js-product');
+        this.renderProduct();
+        trapFocus(this);
+      } catch (error) {
+        console.log(error); // eslint-disable-line
+        window.location.href = productUrl;
+      }
+    }
+
     /**
      * Closes the cart drawer.
      */
@@ -203,7 +229,7 @@ if (!customElements.get('quick-add-drawer')) {
 
     /**
      * Renders the product details.
-     * @param {Element} opener - Element that triggered opening of the drawer.
+     * @param {Element} [opener] - Element that triggered opening of the drawer.
      */
     renderProduct(opener) {
       // Replace instances of section id to prevent duplicates on the product page.
@@ -212,7 +238,12 @@ if (!customElements.get('quick-add-drawer')) {
 
       // Prevent variant picker from updating the URL on change.
       const variantPicker = this.productEl.querySelector('variant-picker');
-      if (variantPicker) variantPicker.dataset.updateUrl = 'false';
+      if (variantPicker) {
+        variantPicker.dataset.updateUrl = 'false';
+
+        // The section is still rendered by its real id to fetch the availability of options.
+        if (variantPicker.dataset.section) variantPicker.dataset.section = sectionId;
+      }
 
       // Remove size chart modal and link (if they exist).
       const sizeChartModal = this.productEl.querySelector('[data-modal="size-chart"]');
@@ -227,7 +258,7 @@ if (!customElements.get('quick-add-drawer')) {
       const activeMedia = this.productEl.querySelector('.media-viewer__item.is-current-variant');
       if (activeMedia) this.updateMedia(activeMedia.dataset.mediaId);
 
-      if (opener.dataset.selectedColor) {
+      if (opener && opener.dataset.selectedColor) {
         // Timeout to allow the VariantPicker to initialize
         setTimeout(this.setActiveVariant.bind(this, opener), 10);
       }
@@ -280,6 +311,11 @@ if (!customElements.get('quick-add-drawer')) {
         weightElem = `<div class="product-info__weight text-sm mt-2">${weightElem}</div>`;
       }
 
+      let wishlistElem = this.getElementHtml('.product-wishlist');
+      if (wishlistElem) {
+        wishlistElem = `<div class="product-wishlist mt-2">${wishlistElem}</div>`;
+      }
+
       this.content.innerHTML = `
         <div class="quick-add-info grid mb-8">
           <div class="quick-add-info__media${theme.settings.blendProductImages ? ' image-blend' : ''}"></div>
@@ -293,6 +329,7 @@ if (!customElements.get('quick-add-drawer')) {
               </a>
             </div>
             ${weightElem}
+            ${wishlistElem}
             <hr>
             <div class="product-price">
               ${this.getElementHtml('.product-price')}
@@ -311,6 +348,9 @@ if (!customElements.get('quick-add-drawer')) {
         <div class="product-backorder">
           ${this.getElementHtml('.product-backorder')}
         </div>
+        <div class="product-my-store">
+          ${this.getElementHtml('.product-my-store')}
+        </div>
       `;
 
       this.classList.remove('is-loading');
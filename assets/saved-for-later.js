@@ -0,0 +1,207 @@
+class SavedForLaterUtil {
+  /**
+   * Returns an array of the saved for later items from localStorage
+   * @returns {Array}
+   */
+  static getItems() {
+    const savedItems = theme.storageUtil.get('saved-for-later', true);
+    return savedItems || [];
+  }
+
+  /**
+   * Sets an array of the saved for later items to localStorage
+   * @param {Array} savedItems - An array of saved item objects
+   */
+  static setItems(savedItems) {
+    theme.storageUtil.set('saved-for-later', savedItems);
+
+    document.dispatchEvent(new CustomEvent('on:saved-for-later:change', {
+      detail: {
+        items: savedItems
+      }
+    }));
+  }
+
+  /**
+   * Adds a cart line to the saved for later items. A line which is already saved (same variant
+   * and properties, so the same line key) has its quantity increased instead.
+   * @param {object} item - Item to save.
+   * @param {string} item.key - Line item key.
+   * @param {number} item.variantId - Variant id.
+   * @param {number} item.quantity - Quantity.
+   * @param {object} item.properties - Line item properties.
+   * @param {string} item.url - Url of the product (with the variant selected).
+   */
+  static addItem(item) {
+    const savedItems = SavedForLaterUtil.getItems();
+    const savedItem = savedItems.find((saved) => saved.key === item.key);
+
+    if (savedItem) {
+      savedItem.quantity += item.quantity;
+    } else {
+      savedItems.unshift(item);
+    }
+
+    SavedForLaterUtil.setItems(savedItems);
+  }
+
+  /**
+   * Removes an item from the saved for later items
+   * @param {string} key - Line item key of the saved item.
+   */
+  static removeItem(key) {
+    const savedItems = SavedForLaterUtil.getItems();
+    SavedForLaterUtil.setItems(savedItems.filter((saved) => saved.key !== key));
+  }
+}
+
+if (!customElements.get('saved-for-later')) {
+  class SavedForLater extends HTMLElement {
+    constructor() {
+      super();
+      this.list = this.querySelector('.js-saved-items');
+      this.counter = this.querySelector('.js-saved-count');
+      this.renderCount = 0;
+
+      this.bindEvents();
+      this.render();
+    }
+
+    disconnectedCallback() {
+      document.removeEventListener('on:saved-for-later:change', this.changeHandler);
+    }
+
+    bindEvents() {
+      this.changeHandler = this.render.bind(this);
+      document.addEventListener('on:saved-for-later:change', this.changeHandler);
+
+      this.addEventListener('click', this.handleClick.bind(this));
+
+      // Product forms within the list fire these once an item has been moved to the cart.
+      this.addEventListener('on:cart:add', this.handleMovedToCart.bind(this));
+      this.addEventListener('on:line-item:change', this.handleMovedToCart.bind(this));
+    }
+
+    /**
+     * Handles 'click' events on the saved for later element.
+     * @param {object} evt - Event object.
+     */
+    handleClick(evt) {
+      const removeBtn = evt.target.closest('.js-saved-item-remove');
+      if (!removeBtn) return;
+      SavedForLaterUtil.removeItem(removeBtn.closest('.js-saved-item').dataset.key);
+    }
+
+    /**
+     * Handles an item being moved to the cart by removing it from the saved items.
+     * @param {object} evt - Event object.
+     */
+    handleMovedToCart(evt) {
+      const savedItem = evt.target.closest('.js-saved-item');
+      if (savedItem) SavedForLaterUtil.removeItem(savedItem.dataset.key);
+    }
+
+    /**
+     * Fetches and renders the saved items.
+     */
+    async render() {
+      const savedItems = SavedForLaterUtil.getItems();
+      this.renderCount += 1;
+      const { renderCount } = this;
+
+      this.hidden = savedItems.length === 0;
+      this.counter.textContent = savedItems.length;
+      if (savedItems.length === 0) {
+        this.list.innerHTML = '';
+        return;
+      }
+
+      try {
+        const savedItemHtmlArr = await SavedForLater.getSavedItems(savedItems);
+
+        // Another render started while fetching, let that one finish instead.
+        if (renderCount !== this.renderCount) return;
+
+        this.list.innerHTML = '';
+        savedItems.forEach((item, index) => {
+          if (!savedItemHtmlArr[index]) return;
+
+          const listItem = document.createElement('li');
+          listItem.className = 'saved-item js-saved-item';
+          listItem.dataset.key = item.key;
+          listItem.innerHTML = savedItemHtmlArr[index];
+          SavedForLater.setItemDetails(listItem, item);
+          this.list.appendChild(listItem);
+        });
+
+        window.initLazyImages();
+      } catch (error) {
+        console.log(error); // eslint-disable-line
+      }
+    }
+
+    /**
+     * Adds the saved quantity and properties of an item to its product form, so "Move to cart"
+     * adds the line back exactly as it was.
+     * @param {Element} listItem - List item element of the saved item.
+     * @param {object} item - Saved item object.
+     */
+    static setItemDetails(listItem, item) {
+      const quantityInput = listItem.querySelector('[name="quantity"]');
+      const quantityText = listItem.querySelector('.js-saved-item-qty');
+      const propertyInputs = listItem.querySelector('.js-saved-item-properties');
+      const propertyList = listItem.querySelector('.js-saved-item-property-list');
+
+      if (quantityInput) quantityInput.value = item.quantity;
+      if (quantityText) quantityText.textContent = item.quantity;
+
+      Object.entries(item.properties || {}).forEach(([name, value]) => {
+        if (value === null || value === '') return;
+
+        if (propertyInputs) {
+          const input = document.createElement('input');
+          input.type = 'hidden';
+          input.name = `properties[${name}]`;
+          input.value = value;
+          propertyInputs.appendChild(input);
+        }
+
+        // Properties starting with an underscore are private, as on the cart line itself.
+        if (propertyList && name.charAt(0) !== '_') {
+          const row = document.createElement('div');
+          const term = document.createElement('dt');
+          const desc = document.createElement('dd');
+          term.className = 'inline font-bold';
+          term.textContent = `${name}: `;
+          desc.className = 'inline m-0';
+          desc.textContent = value;
+          row.append(term, desc);
+          propertyList.appendChild(row);
+          propertyList.hidden = false;
+        }
+      });
+    }
+
+    /**
+     * Fetches an array of html for each of the saved items, using the section rendering API
+     * @param {Array} savedItems - An array of saved item objects
+     * @returns {Array}
+     */
+    static async getSavedItems(savedItems) {
+      return Promise.all(
+        savedItems.map(async (item) => {
+          const url = new URL(item.url, window.location.origin);
+          url.searchParams.set('sections', 'saved-for-later-item');
+
+          const response = await fetch(url.toString());
+          if (!response.ok) return null;
+
+          const data = await response.json();
+          return data['saved-for-later-item'];
+        })
+      );
+    }
+  }
+
+  customElements.define('saved-for-later', SavedForLater);
+}
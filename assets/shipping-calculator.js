@@ -1,3 +1,8 @@
+/**
+ * Required translation strings:
+ * - shippingCalculator
+ */
+
 if (!customElements.get('shipping-calculator')) {
   class ShippingCalculator extends HTMLElement {
     constructor() {
@@ -8,6 +13,31 @@ if (!customElements.get('shipping-calculator')) {
       this.button.addEventListener('click', this.handleSubmit.bind(this));
     }
 
+    connectedCallback() {
+      if (!this.initialised) this.init();
+
+      this.lineItemChangeHandler = this.lineItemChangeHandler
+        || this.handleLineItemChange.bind(this);
+      document.addEventListener('on:line-item:change', this.lineItemChangeHandler);
+
+      // Rates for the last used address are shown straight away (from the cache if possible).
+      let address = null;
+      try {
+        address = theme.storageUtil.get('shipping-address', true);
+      } catch (error) {
+        // Ignore a corrupted address, it's replaced once the rates are next calculated.
+      }
+
+      if (address) {
+        this.prefill(address);
+        this.calculate();
+      }
+    }
+
+    disconnectedCallback() {
+      document.removeEventListener('on:line-item:change', this.lineItemChangeHandler);
+    }
+
     init() {
       this.country = this.querySelector('.js-country-select');
       this.province = this.querySelector('.js-province-select');
@@ -20,32 +50,11 @@ if (!customElements.get('shipping-calculator')) {
      * Handles submission of the rates calculator.
      * @param {object} evt - Event object.
      */
-    async handleSubmit(evt) {
+    handleSubmit(evt) {
       evt.preventDefault();
       if (!this.initialised) this.init();
 
-      this.errors.hidden = true;
-      this.rates.hidden = true;
-      this.button.disabled = true;
-      this.button.classList.add('is-loading');
-
-      const params = `shipping_address[zip]=${this.zip.value}&shipping_address[country]=${this.country.value}&shipping_address[province]=${this.province.value}`;
-
-      try {
-        const response = await fetch(`${theme.routes.cart}/shipping_rates.json?${params}`);
-        const data = await response.json();
-
-        if (response.ok) {
-          this.showRates(data);
-        } else {
-          this.showErrors(data);
-        }
-      } catch (error) {
-        console.log(error); // eslint-disable-line
-      } finally {
-        this.button.classList.remove('is-loading');
-        this.button.disabled = false;
-      }
+      this.calculate();
     }
 
     /**
@@ -59,6 +68,74 @@ if (!customElements.get('shipping-calculator')) {
       }
     }
 
+    /**
+     * Handles 'on:line-item:change' events, refreshing the rates shown for the new cart contents.
+     * @param {object} evt - Event object.
+     */
+    handleLineItemChange(evt) {
+      if (this.rates.hidden || evt.detail.cart.item_count === 0) return;
+
+      this.calculate(ShippingCalculator.getCartKey(evt.detail.cart));
+    }
+
+    /**
+     * Selects the country and province and fills in the zip code of an address.
+     * @param {object} address - Address object ({ country, province, zip }).
+     */
+    prefill(address) {
+      // The country-province-selector uses these when it's initialised after this element.
+      this.country.dataset.default = address.country;
+      this.province.dataset.default = address.province;
+
+      if (this.country.value !== address.country) {
+        this.country.value = address.country;
+        this.country.dispatchEvent(new Event('change'));
+      }
+
+      if (address.province) this.province.value = address.province;
+      this.zip.value = address.zip;
+    }
+
+    /**
+     * Gets the shipping rates for the address entered and shows them (or the errors returned).
+     * @param {string} [cartKey] - Key of the cart contents (fetched if not given).
+     */
+    async calculate(cartKey) {
+      const address = {
+        country: this.country.value,
+        province: this.province.value,
+        zip: this.zip.value.trim()
+      };
+
+      // Only the latest request updates the calculator.
+      this.requestId = (this.requestId || 0) + 1;
+      const { requestId } = this;
+
+      this.errors.hidden = true;
+      this.button.disabled = true;
+      this.button.classList.add('is-loading');
+
+      try {
+        const key = cartKey || await ShippingCalculator.fetchCartKey();
+        const data = await ShippingCalculator.getRates(address, key);
+        if (this.requestId !== requestId) return;
+
+        theme.storageUtil.set('shipping-address', address);
+        this.showRates(data);
+      } catch (error) {
+        if (this.requestId !== requestId) return;
+
+        this.rates.hidden = true;
+        this.showErrors(error.data || { error: theme.strings.shippingCalculator.unavailable });
+        if (!error.data) console.log(error); // eslint-disable-line
+      } finally {
+        if (this.requestId === requestId) {
+          this.button.classList.remove('is-loading');
+          this.button.disabled = false;
+        }
+      }
+    }
+
     /**
      * Formats and shows a list of available shipping rates.
      * @param {object} data - Response data.
@@ -102,7 +179,149 @@ if (!customElements.get('shipping-calculator')) {
       this.errors.querySelector('.js-errors-text').innerHTML = `<ul class="styled-list">${errors}</ul>`;
       this.errors.hidden = false;
     }
+
+    /**
+     * Returns the shipping rates for an address, from the cache if they've already been calculated
+     * for it and the current cart.
+     * @param {object} address - Address object ({ country, province, zip }).
+     * @param {string} cartKey - Key of the cart contents.
+     * @returns {Promise<object>}
+     */
+    static async getRates(address, cartKey) {
+      const key = [cartKey, address.country, address.province, address.zip].join('|');
+      const cache = theme.storageUtil.get('shipping-rates', true, true) || {};
+      if (cache[key]) return cache[key];
+
+      // Calculators requesting the same rates (e.g. after a cart change) share the request.
+      if (!ShippingCalculator.pendingRequests[key]) {
+        ShippingCalculator.pendingRequests[key] = ShippingCalculator.fetchRates(address);
+      }
+
+      const request = ShippingCalculator.pendingRequests[key];
+      const { cacheVersion } = ShippingCalculator;
+      let data;
+
+      try {
+        data = await request;
+      } finally {
+        if (ShippingCalculator.pendingRequests[key] === request) {
+          delete ShippingCalculator.pendingRequests[key];
+        }
+      }
+
+      // Rates calculated before the cart changed aren't cached. Rates for other cart contents are
+      // dropped, as they can't be used again.
+      if (cacheVersion === ShippingCalculator.cacheVersion) {
+        const newCache = { [key]: data };
+        const latestCache = theme.storageUtil.get('shipping-rates', true, true) || {};
+        Object.keys(latestCache).forEach((cacheKey) => {
+          if (cacheKey.startsWith(`${cartKey}|`)) newCache[cacheKey] = latestCache[cacheKey];
+        });
+        theme.storageUtil.set('shipping-rates', newCache, true);
+      }
+
+      return data;
+    }
+
+    /**
+     * Asks Shopify to calculate the shipping rates for an address, then polls until they're ready.
+     * @param {object} address - Address object ({ country, province, zip }).
+     * @returns {Promise<object>}
+     */
+    static async fetchRates(address) {
+      const params = new URLSearchParams({
+        'shipping_address[zip]': address.zip,
+        'shipping_address[country]': address.country,
+        'shipping_address[province]': address.province
+      }).toString();
+
+      const prepareUrl = `${theme.routes.cart}/prepare_shipping_rates.json?${params}`;
+      const prepareResponse = await fetch(prepareUrl, { method: 'POST' });
+
+      if (!prepareResponse.ok) {
+        const error = new Error(prepareResponse.status);
+        error.data = await prepareResponse.json();
+        throw error;
+      }
+
+      return ShippingCalculator.pollRates(params);
+    }
+
+    /**
+     * Polls Shopify for the shipping rates of an address until they've been calculated.
+     * @param {string} params - Query string of the address.
+     * @param {number} [attempt=0] - Number of previous attempts.
+     * @returns {Promise<object>}
+     */
+    static async pollRates(params, attempt = 0) {
+      if (attempt >= ShippingCalculator.maxPollAttempts) {
+        throw new Error('Timed out waiting for shipping rates');
+      }
+
+      const response = await fetch(`${theme.routes.cart}/async_shipping_rates.json?${params}`);
+
+      // Shopify responds with 202 (or no rates) until the rates have been calculated.
+      if (response.status !== 202) {
+        const data = await response.json();
+        if (!response.ok) {
+          const error = new Error(response.status);
+          error.data = data;
+          throw error;
+        }
+
+        if (data && data.shipping_rates) return data;
+      }
+
+      await new Promise((resolve) => {
+        setTimeout(resolve, ShippingCalculator.pollInterval);
+      });
+
+      return ShippingCalculator.pollRates(params, attempt + 1);
+    }
+
+    /**
+     * Returns the key of the current cart contents, fetching the cart if the store doesn't have it.
+     * @returns {Promise<string>}
+     */
+    static async fetchCartKey() {
+      let cart = theme.cartStore.getCart();
+      if (!cart) {
+        const response = await fetch(`${theme.routes.cart}.js`);
+        if (!response.ok) throw new Error(response.status);
+        cart = await response.json();
+      }
+
+      return ShippingCalculator.getCartKey(cart);
+    }
+
+    /**
+     * Returns a key for the contents of a cart, which rates are cached for. The cart token stays
+     * the same when the contents change, so the lines and totals are part of the key too.
+     * @param {object} cart - Cart object.
+     * @returns {string}
+     */
+    static getCartKey(cart) {
+      const lines = cart.items.map((item) => `${item.key}:${item.quantity}`);
+      return [cart.token, cart.item_count, cart.total_price, ...lines].join(',');
+    }
+
+    /**
+     * Removes the cached rates (e.g. when the contents of the cart change).
+     */
+    static clearCache() {
+      theme.storageUtil.remove('shipping-rates', true);
+      ShippingCalculator.pendingRequests = {};
+      ShippingCalculator.cacheVersion += 1;
+    }
   }
 
+  ShippingCalculator.pendingRequests = {};
+  ShippingCalculator.cacheVersion = 0;
+  ShippingCalculator.pollInterval = 500;
+  ShippingCalculator.maxPollAttempts = 20;
+
+  // Rates depend on the contents of the cart, so they can't be reused once it changes.
+  document.addEventListener('on:cart:change', ShippingCalculator.clearCache);
+
   customElements.define('shipping-calculator', ShippingCalculator);
 }
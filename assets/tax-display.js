@@ -0,0 +1,68 @@
+/* global formatMoney */
+
+if (!customElements.get('tax-price')) {
+  class TaxPrice extends HTMLElement {
+    constructor() {
+      super();
+      this.amount = this.querySelector('.tax-price__amount');
+    }
+
+    /**
+     * Updates the price with tax removed (or added), e.g. when another variant is selected.
+     * @param {?number} price - Price (in cents) as charged by the store, or null to hide the price.
+     */
+    setPrice(price) {
+      this.hidden = price === null;
+      if (price === null) return;
+
+      const rate = 1 + theme.settings.taxRate / 100;
+      const taxPrice = this.dataset.basis === 'excluding' ? price / rate : price * rate;
+
+      this.dataset.price = price;
+      this.amount.textContent = formatMoney(Math.round(taxPrice));
+    }
+  }
+
+  customElements.define('tax-price', TaxPrice);
+}
+
+if (!customElements.get('tax-display-toggle')) {
+  class TaxDisplayToggle extends HTMLElement {
+    constructor() {
+      super();
+      this.buttons = this.querySelectorAll('.tax-display-toggle__btn');
+      this.taxDisplayChangeHandler = this.update.bind(this);
+      this.addEventListener('click', TaxDisplayToggle.handleClick);
+    }
+
+    connectedCallback() {
+      document.addEventListener('on:tax-display:change', this.taxDisplayChangeHandler);
+      this.update();
+    }
+
+    disconnectedCallback() {
+      document.removeEventListener('on:tax-display:change', this.taxDisplayChangeHandler);
+    }
+
+    /**
+     * Handles 'click' events on the toggle.
+     * @param {object} evt - Event object.
+     */
+    static handleClick(evt) {
+      const button = evt.target.closest('.tax-display-toggle__btn');
+      if (button) theme.taxDisplay.set(button.dataset.display);
+    }
+
+    /**
+     * Marks the button of the customer's chosen display as pressed.
+     */
+    update() {
+      const display = theme.taxDisplay.get();
+      this.buttons.forEach((button) => {
+        button.setAttribute('aria-pressed', button.dataset.display === display);
+      });
+    }
+  }
+
+  customElements.define('tax-display-toggle', TaxDisplayToggle);
+}
@@ -70,6 +70,11 @@ const customEvents = [
   'on:variant:change',
   'on:line-item:change',
   'on:cart:error',
+  'on:cart:change',
+  'on:saved-for-later:change',
+  'on:wishlist:add',
+  'on:wishlist:remove',
+  'on:my-store:change',
   'on:cart-drawer:before-open',
   'on:cart-drawer:after-open',
   'on:cart-drawer:after-close',
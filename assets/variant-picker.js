@@ -3,6 +3,7 @@
 /**
  * Dependencies:
  * - Custom select component
+ * - formatMoney()
  *
  * Required translation strings:
  * - addToCart
@@ -17,20 +18,61 @@ if (!customElements.get('variant-picker')) {
       super();
       this.section = this.closest('.js-product');
       this.productForm = this.section.querySelector('.js-product-form-main');
-      this.optionSelectors = this.querySelectorAll('.option-selector');
+      this.optionSelectors = this.querySelectorAll('.option-selector:not(.js-sibling-selector)');
       this.data = this.getProductData();
+
+      if (this.dataset.serverAvailability === 'true') {
+        this.availabilityCache = new Map();
+        this.setAvailability(VariantPicker.getAvailabilityData(this));
+
+        const key = this.getSelectionKey();
+        if (key) this.availabilityCache.set(key, Promise.resolve(this.availability));
+      }
+
       this.variant = this.getSelectedVariant();
 
       this.updateAvailability();
       this.updateAddToCartButton();
       this.addEventListener('change', this.handleVariantChange.bind(this));
+
+      if (this.dataset.updateUrl !== 'false') {
+        this.initialOptions = this.getSelectedOptions();
+        this.historyChangeHandler = this.handleHistoryChange.bind(this);
+      }
+    }
+
+    connectedCallback() {
+      if (this.historyChangeHandler) {
+        window.addEventListener('popstate', this.historyChangeHandler);
+      }
+    }
+
+    disconnectedCallback() {
+      if (this.historyChangeHandler) {
+        window.removeEventListener('popstate', this.historyChangeHandler);
+      }
     }
 
     /**
      * Handles 'change' events on the variant picker element.
      * @param {object} evt - Event object.
      */
-    handleVariantChange(evt) {
+    async handleVariantChange(evt) {
+      if (evt.target.matches('.js-sibling')) {
+        VariantPicker.updateLabelText(evt);
+        this.switchProduct(evt.target);
+        return;
+      }
+
+      if (this.availabilityCache) {
+        // Only the latest selection updates the picker.
+        this.requestId = (this.requestId || 0) + 1;
+        const { requestId } = this;
+
+        await this.fetchAvailability();
+        if (this.requestId !== requestId) return;
+      }
+
       this.variant = null;
 
       // Get selected variant data (if variant exists).
@@ -62,6 +104,70 @@ if (!customElements.get('variant-picker')) {
       }));
     }
 
+    /**
+     * Swaps the product area for that of a sibling product (e.g. the same product in another
+     * color), using the Section Rendering API.
+     * @param {Element} siblingInput - Radio input of the chosen sibling.
+     */
+    async switchProduct(siblingInput) {
+      const { productUrl } = siblingInput.dataset;
+
+      // The Quick Add drawer builds its content from the product page, so it does the swap itself.
+      if (this.section.matches('quick-add-drawer')) {
+        this.section.showProduct(productUrl);
+        return;
+      }
+
+      this.section.setAttribute('aria-busy', 'true');
+
+      try {
+        const response = await fetch(`${productUrl}?section_id=${this.section.dataset.section}`);
+        if (!response.ok) throw new Error(response.status);
+
+        const tmpl = document.createElement('template');
+        tmpl.innerHTML = await response.text();
+
+        const newSection = tmpl.content.querySelector('.js-product');
+        if (!newSection) throw new Error('Product not found in section');
+
+        const sectionEl = this.section.closest('.shopify-section');
+        const stickyPanel = sectionEl ? sectionEl.querySelector('sticky-atc-panel') : null;
+        const newStickyPanel = tmpl.content.querySelector('sticky-atc-panel');
+        if (stickyPanel && newStickyPanel) stickyPanel.replaceWith(newStickyPanel);
+
+        const structuredData = VariantPicker.getStructuredDataEl(this.section);
+        const newStructuredData = tmpl.content.querySelector('script[type="application/ld+json"]');
+        if (structuredData && newStructuredData) structuredData.replaceWith(newStructuredData);
+
+        this.section.replaceWith(newSection);
+        window.initLazyImages();
+
+        const newPicker = newSection.querySelector('variant-picker');
+
+        if (this.dataset.updateUrl !== 'false') {
+          window.history.replaceState({ productUrl }, '', productUrl);
+          if (newPicker && newPicker.variant) newPicker.updateMetadata();
+        }
+
+        const focusTarget = newPicker
+          ? newPicker.querySelector(`.js-sibling[data-product-url="${productUrl}"]`)
+          : null;
+        if (focusTarget) focusTarget.focus();
+
+        newSection.dispatchEvent(new CustomEvent('on:variant:change', {
+          bubbles: true,
+          detail: {
+            form: newSection.querySelector('.js-product-form-main'),
+            variant: newPicker ? newPicker.variant : null,
+            product: newPicker ? newPicker.data.product : null
+          }
+        }));
+      } catch (error) {
+        console.log(error); // eslint-disable-line
+        window.location.href = productUrl;
+      }
+    }
+
     /**
      * Updates the "Add to Cart" button label and disabled state.
      */
@@ -117,6 +223,11 @@ if (!customElements.get('variant-picker')) {
      */
     updateAvailability() {
       if (this.dataset.showAvailability === 'false') return;
+      if (this.availability) {
+        this.updateServerAvailability();
+        return;
+      }
+
       const { availabilityMethod } = this.dataset; // 'downward' or 'selection'
       let currVariant = this.variant;
       const selectedOptions = this.getSelectedOptions();
@@ -185,6 +296,100 @@ if (!customElements.get('variant-picker')) {
       }
     }
 
+    /**
+     * Updates the availability status in option selectors from the availability rendered by the
+     * server for the current selection.
+     */
+    updateServerAvailability() {
+      const { availabilityMethod } = this.dataset; // 'downward' or 'selection'
+
+      this.optionSelectors.forEach((selector, selectorIndex) => {
+        const values = this.availability.options[selectorIndex] || [];
+
+        selector.querySelectorAll('.js-option:not([data-value=""])').forEach((optionEl) => {
+          const optionValue = selector.dataset.selectorType === 'dropdown' ? optionEl.dataset.value : optionEl.value;
+          const value = values.find((v) => v.value === optionValue);
+          if (!value) return;
+
+          // Shopify works out 'exists' and 'available' from the selected values of the previous
+          // options, and the variant of each value from the selected values of all other options.
+          if (availabilityMethod === 'downward') {
+            VariantPicker.updateOptionAvailability(optionEl, value.exists, value.available);
+          } else {
+            VariantPicker.updateOptionAvailability(
+              optionEl,
+              value.variantExists,
+              value.variantAvailable
+            );
+          }
+        });
+      });
+    }
+
+    /**
+     * Fetches the availability of the option values for the current selection from the product
+     * page (responses are cached per selection). If it can't be fetched (e.g. when offline), the
+     * product JSON is used instead.
+     */
+    async fetchAvailability() {
+      const key = this.getSelectionKey();
+
+      if (key && !this.availabilityCache.has(key)) {
+        const sectionParam = this.dataset.section ? `&section_id=${this.dataset.section}` : '';
+        this.availabilityCache.set(key, (async () => {
+          const response = await fetch(`${this.dataset.url}?option_values=${key}${sectionParam}`);
+          if (!response.ok) throw new Error(response.status);
+
+          const tmpl = document.createElement('template');
+          tmpl.innerHTML = await response.text();
+
+          const data = VariantPicker.getAvailabilityData(tmpl.content);
+          if (!data) throw new Error('Option availability not found');
+          return data;
+        })());
+      }
+
+      try {
+        this.setAvailability(key ? await this.availabilityCache.get(key) : null);
+      } catch (error) {
+        // Failed requests aren't cached, so they're tried again on the next change.
+        this.availabilityCache.delete(key);
+        this.setAvailability(null);
+        console.log(error); // eslint-disable-line
+      }
+    }
+
+    /**
+     * Sets the server-rendered availability data for the current selection.
+     * @param {?object} availability - Availability data, or null to use the product JSON.
+     */
+    setAvailability(availability) {
+      this.availability = availability;
+
+      // Variants beyond the first 250 aren't in the product JSON.
+      if (availability && availability.variant) {
+        Object.assign(this.data.formatted, availability.formatted);
+      }
+    }
+
+    /**
+     * Returns the ids of the selected option values, as used in the 'option_values' url param.
+     * @returns {?string}
+     */
+    getSelectionKey() {
+      if (!this.availability && !this.availabilityOptions) return null;
+
+      // The option values are the same for every selection, so the first response is enough.
+      this.availabilityOptions = this.availabilityOptions || this.availability.options;
+
+      const ids = this.getSelectedOptions().map((selectedValue, index) => {
+        const value = (this.availabilityOptions[index] || []).find((v) => v.value === selectedValue);
+        return value ? value.id : null;
+      });
+
+      return ids.includes(null) ? null : ids.join(',');
+    }
+
     /**
      * Updates the backorder text and visibility.
      */
@@ -297,6 +502,9 @@ if (!customElements.get('variant-picker')) {
         this.price.classList.toggle('price--sold-out', !this.variant.available);
       }
 
+      const taxPrice = this.price.querySelector('tax-price');
+      if (taxPrice) taxPrice.setPrice(this.variant ? this.variant.price : null);
+
       this.price.querySelector('.price__default').hidden = !this.variant;
       this.price.querySelector('.price__no-variant').hidden = this.variant;
     }
@@ -342,12 +550,192 @@ if (!customElements.get('variant-picker')) {
     }
 
     /**
-     * Updates the url with the selected variant id.
+     * Adds a history entry for the selected variant, and updates the page metadata to match.
      * @param {object} evt - Event object.
      */
     updateUrl(evt) {
       if (!evt || evt.type !== 'change' || this.dataset.updateUrl === 'false') return;
-      window.history.replaceState({}, '', `${this.dataset.url}?variant=${this.variant.id}`);
+
+      // Restoring the selection of a history entry mustn't add another one.
+      if (!evt.detail || !evt.detail.fromHistory) {
+        window.history.pushState(
+          { productUrl: this.dataset.url, variantOptions: this.getSelectedOptions() },
+          '',
+          `${this.dataset.url}?variant=${this.variant.id}`
+        );
+      }
+
+      this.updateMetadata();
+    }
+
+    /**
+     * Handles 'popstate' events, restoring the variant selection of the history entry.
+     * @param {object} evt - Event object.
+     */
+    handleHistoryChange(evt) {
+      const state = evt.state || {};
+
+      // Entries for another product (before a sibling product was chosen) need a page load.
+      if (state.productUrl && state.productUrl !== this.dataset.url) {
+        window.location.reload();
+        return;
+      }
+
+      if (state.variantOptions) {
+        this.restoreOptions(state.variantOptions);
+        return;
+      }
+
+      // Entries not added by the picker (e.g. the page load) only have the variant in the url.
+      const variantId = Number(new URLSearchParams(window.location.search).get('variant'));
+      const variant = this.data.product.variants.find((v) => v.id === variantId);
+      this.restoreOptions(variant ? variant.options : this.initialOptions);
+    }
+
+    /**
+     * Selects the given option values, then updates the picker as if they had been chosen.
+     * @param {Array} options - Option values, in the order of the option selectors.
+     */
+    restoreOptions(options) {
+      const selectedOptions = this.getSelectedOptions();
+      if (options.every((value, index) => value === selectedOptions[index])) return;
+
+      let changedEl = null;
+
+      this.optionSelectors.forEach((selector, index) => {
+        if (options[index] === selectedOptions[index]) return;
+
+        if (selector.dataset.selectorType === 'dropdown') {
+          const customSelect = selector.querySelector('custom-select');
+          const option = Array.from(customSelect.querySelectorAll('.custom-select__option'))
+            .find((el) => el.dataset.value === options[index]);
+          if (!option) return;
+
+          customSelect.selectOption(option, true);
+          changedEl = customSelect;
+        } else {
+          const input = Array.from(selector.querySelectorAll('.js-option'))
+            .find((el) => el.value === options[index]);
+          if (!input) return;
+
+          input.checked = true;
+          VariantPicker.updateLabelText({ target: input });
+          changedEl = input;
+        }
+      });
+
+      if (changedEl) {
+        changedEl.dispatchEvent(new CustomEvent('change', {
+          bubbles: true,
+          detail: { fromHistory: true }
+        }));
+      }
+    }
+
+    /**
+     * Updates the page title, canonical url, Open Graph tags and structured data to describe the
+     * selected variant, so shared links and crawlers which run scripts see the right variant.
+     */
+    updateMetadata() {
+      const { product } = this.data;
+      const variantUrl = `${window.location.origin}${this.dataset.url}?variant=${this.variant.id}`;
+      const media = this.variant.featured_media || product.media[0];
+      const imageSrc = media && media.preview_image
+        ? `https:${media.preview_image.src.replace(/^https?:/, '')}`
+        : null;
+      const siteName = VariantPicker.getMetaEl('og:site_name');
+      let title = product.title;
+
+      if (this.optionSelectors.length > 0) title = `${title} - ${this.variant.title}`;
+
+      document.title = siteName && !title.includes(siteName.content)
+        ? `${title} \u2013 ${siteName.content}`
+        : title;
+
+      const canonical = document.querySelector('link[rel="canonical"]');
+      if (canonical) canonical.href = variantUrl;
+
+      // The amount is formatted like Liquid's 'money_without_currency' filter.
+      const amountFormat = theme.settings.moneyFormat.match(/\{\{\s*\w+\s*\}\}/);
+      const metaContent = {
+        'og:url': variantUrl,
+        'og:title': title,
+        'twitter:title': title,
+        'og:price:amount': formatMoney(
+          this.variant.price,
+          amountFormat ? amountFormat[0] : '{{amount}}'
+        )
+      };
+
+      if (imageSrc) {
+        const imageUrl = new URL(imageSrc);
+        imageUrl.searchParams.set('width', 1200);
+        imageUrl.searchParams.set('height', 1200);
+
+        Object.assign(metaContent, {
+          'og:image': imageUrl.href.replace(/^https:/, 'http:'),
+          'og:image:secure_url': imageUrl.href,
+          'og:image:width': media.preview_image.width,
+          'og:image:height': media.preview_image.height
+        });
+      }
+
+      Object.entries(metaContent).forEach(([name, content]) => {
+        const metaEl = VariantPicker.getMetaEl(name);
+        if (metaEl) metaEl.content = content;
+      });
+
+      this.updateStructuredData(variantUrl, imageSrc);
+    }
+
+    /**
+     * Updates the product structured data (JSON-LD) of the section for the selected variant. The
+     * offer of the selected variant is listed first, for crawlers which only read one.
+     * @param {string} variantUrl - Absolute url of the selected variant.
+     * @param {?string} imageSrc - Absolute url of the variant image.
+     */
+    updateStructuredData(variantUrl, imageSrc) {
+      const dataEl = VariantPicker.getStructuredDataEl(this.section);
+      if (!dataEl) return;
+
+      let data;
+      try {
+        data = JSON.parse(dataEl.textContent);
+      } catch (error) {
+        console.log(error); // eslint-disable-line
+        return;
+      }
+
+      if (data['@type'] !== 'Product' || !Array.isArray(data.offers) || !data.offers.length) return;
+
+      const { variant } = this;
+      const variantParam = `variant=${variant.id}`;
+      let offer = data.offers.find((o) => o.url && o.url.endsWith(variantParam));
+
+      // Products with over 250 variants don't list an offer for every variant.
+      if (!offer) {
+        offer = { ...data.offers[0] };
+        ['sku', 'gtin12', 'gtin13', 'gtin14'].forEach((key) => delete offer[key]);
+      }
+
+      Object.assign(offer, {
+        availability: `http://schema.org/${variant.available ? 'InStock' : 'OutOfStock'}`,
+        price: variant.price / 100,
+        url: variantUrl
+      });
+
+      data.url = variantUrl;
+      if (imageSrc) data.image = [imageSrc];
+
+      if (variant.sku) {
+        data.sku = variant.sku;
+        offer.sku = variant.sku;
+      } else {
+        delete data.sku;
+      }
+
+      data.offers = [offer, ...data.offers.filter((o) => o !== offer)];
+      dataEl.textContent = JSON.stringify(data);
     }
 
     /**
@@ -396,10 +784,48 @@ if (!customElements.get('variant-picker')) {
      * @returns {?object} Variant object, or null if one is not selected.
      */
     getSelectedVariant() {
+      // Pickers of products with only a default variant just show the sibling products.
+      if (this.optionSelectors.length === 0) return this.data.product.variants[0];
+
       const selectedOptions = this.getSelectedOptions();
-      return this.data.product.variants.find(
-        (v) => v.options.every((val, index) => val === selectedOptions[index])
-      );
+      const isSelected = (v) => v.options.every((val, index) => val === selectedOptions[index]);
+
+      // Shopify falls back to the first available variant if the selection doesn't exist.
+      if (this.availability) {
+        const { variant } = this.availability;
+        return variant && isSelected(variant) ? variant : null;
+      }
+
+      return this.data.product.variants.find(isSelected);
+    }
+
+    /**
+     * Gets a meta tag of the document by its property or name.
+     * @param {string} name - Property or name of the meta tag (e.g. 'og:title').
+     * @returns {?Element}
+     */
+    static getMetaEl(name) {
+      return document.head.querySelector(`meta[property="${name}"], meta[name="${name}"]`);
+    }
+
+    /**
+     * Gets the structured data (JSON-LD) element of the section containing a product.
+     * @param {Element} productEl - Product element.
+     * @returns {?Element}
+     */
+    static getStructuredDataEl(productEl) {
+      const sectionEl = productEl.closest('.shopify-section');
+      return sectionEl ? sectionEl.querySelector('script[type="application/ld+json"]') : null;
+    }
+
+    /**
+     * Gets the server-rendered availability of the option values within an element.
+     * @param {Element} el - Element containing the variant picker.
+     * @returns {?object}
+     */
+    static getAvailabilityData(el) {
+      const dataEl = el.querySelector('.js-option-availability');
+      return dataEl ? JSON.parse(dataEl.textContent) : null;
     }
   }
 
@@ -0,0 +1,249 @@
+class WishlistUtil {
+  /**
+   * Returns an array of the wishlist product ids from localStorage
+   * @returns {Array}
+   */
+  static getProducts() {
+    const wishlistProducts = theme.storageUtil.get('wishlist', true);
+    return wishlistProducts || [];
+  }
+
+  /**
+   * Sets an array of the wishlist product ids to localStorage
+   * @param {Array} wishlistProducts - An array of product ids
+   */
+  static setProducts(wishlistProducts) {
+    theme.storageUtil.set('wishlist', wishlistProducts);
+  }
+
+  /**
+   * Returns whether a product is in the wishlist
+   * @param {number} productId - the product id
+   * @returns {boolean}
+   */
+  static hasProduct(productId) {
+    return WishlistUtil.getProducts().includes(productId);
+  }
+
+  /**
+   * Adds a product id to the start of the wishlist in localStorage
+   * @param {number} productId - the product id
+   */
+  static addProduct(productId) {
+    const wishlistProducts = WishlistUtil.getProducts();
+    if (!wishlistProducts.includes(productId)) {
+      wishlistProducts.unshift(productId);
+    }
+    WishlistUtil.setProducts(wishlistProducts);
+    WishlistUtil.updateDom();
+  }
+
+  /**
+   * Removes a product id from the wishlist in localStorage
+   * @param {number} productId - the product id
+   */
+  static removeProduct(productId) {
+    const wishlistProducts = WishlistUtil.getProducts().filter((id) => id !== productId);
+    WishlistUtil.setProducts(wishlistProducts);
+    WishlistUtil.updateDom();
+  }
+
+  /**
+   * Updates the wishlist toggles and counters on the page
+   */
+  static updateDom() {
+    document.querySelectorAll('wishlist-toggle').forEach((toggle) => toggle.update());
+    WishlistUtil.updateCounters();
+  }
+
+  /**
+   * Updates counters on the page with the count of products in the wishlist
+   */
+  static updateCounters() {
+    const count = WishlistUtil.getProducts().length;
+    document.querySelectorAll('.js-wishlist-counter').forEach((counter) => {
+      counter.innerText = count;
+      if (counter.dataset.hideEmpty) counter.hidden = count === 0;
+    });
+  }
+}
+
+if (!customElements.get('wishlist-toggle')) {
+  class WishlistToggle extends HTMLElement {
+    constructor() {
+      super();
+      this.button = this.querySelector('button');
+      this.label = this.querySelector('.js-wishlist-label');
+      this.productId = Number(this.dataset.productId);
+
+      this.button.addEventListener('click', this.handleClick.bind(this));
+      this.update();
+    }
+
+    /**
+     * Handles 'click' events on the toggle button.
+     */
+    handleClick() {
+      const added = !WishlistUtil.hasProduct(this.productId);
+
+      if (added) {
+        WishlistUtil.addProduct(this.productId);
+      } else {
+        WishlistUtil.removeProduct(this.productId);
+      }
+
+      this.dispatchEvent(new CustomEvent(added ? 'on:wishlist:add' : 'on:wishlist:remove', {
+        bubbles: true,
+        detail: {
+          productId: this.productId,
+          wishlist: WishlistUtil.getProducts()
+        }
+      }));
+    }
+
+    /**
+     * Updates the toggle state to match the wishlist.
+     */
+    update() {
+      const inWishlist = WishlistUtil.hasProduct(this.productId);
+      const label = inWishlist ? theme.strings.wishlist.remove : theme.strings.wishlist.add;
+
+      this.button.setAttribute('aria-pressed', inWishlist);
+      this.label.textContent = label;
+      if (this.label.classList.contains('visually-hidden')) {
+        this.button.title = label;
+      }
+    }
+  }
+
+  customElements.define('wishlist-toggle', WishlistToggle);
+}
+
+if (!customElements.get('wishlist-products')) {
+  class WishlistProducts extends HTMLElement {
+    constructor() {
+      super();
+      this.productsContainer = this.querySelector('.js-wishlist-products');
+      this.emptyMessage = this.querySelector('.js-wishlist-empty');
+      this.errorMessage = this.querySelector('.js-wishlist-error');
+      this.loadingSpinner = this.querySelector('.loading-spinner');
+      this.fetchAttempts = 0;
+
+      this.removeHandler = this.handleRemove.bind(this);
+      document.addEventListener('on:wishlist:remove', this.removeHandler);
+
+      this.init();
+    }
+
+    disconnectedCallback() {
+      document.removeEventListener('on:wishlist:remove', this.removeHandler);
+    }
+
+    /**
+     * Fetches and renders the wishlist products, using the search results section rendering
+     * approach of the 'Recently viewed products' section.
+     */
+    async init() {
+      const wishlistProducts = WishlistUtil.getProducts();
+      if (wishlistProducts.length === 0) {
+        this.setEmptyState();
+        return;
+      }
+
+      try {
+        // Search results are capped, so larger wishlists are fetched in chunks.
+        const chunks = [];
+        for (let i = 0; i < wishlistProducts.length; i += WishlistProducts.maxIdsPerQuery) {
+          chunks.push(wishlistProducts.slice(i, i + WishlistProducts.maxIdsPerQuery));
+        }
+
+        const grids = (await Promise.all(chunks.map((ids) => this.fetchProducts(ids))))
+          .filter((grid) => grid);
+        const [grid, ...otherGrids] = grids;
+
+        this.productsContainer.innerHTML = '';
+        if (grid) {
+          otherGrids.forEach((otherGrid) => grid.append(...otherGrid.children));
+          this.productsContainer.appendChild(grid);
+        }
+
+        this.sortProducts(wishlistProducts);
+        this.loadingSpinner.hidden = true;
+        this.setEmptyState();
+
+        window.initLazyImages();
+      } catch (error) {
+        this.fetchAttempts += 1;
+
+        if (this.fetchAttempts === 3) {
+          this.loadingSpinner.hidden = true;
+          this.errorMessage.hidden = false;
+          console.log(error); // eslint-disable-line
+        } else {
+          this.init();
+        }
+      }
+    }
+
+    /**
+     * Fetches the rendered products for some of the wishlist's product ids.
+     * @param {Array} ids - Product ids.
+     * @returns {Promise<?Element>} The grid of products, or null if none were found.
+     */
+    async fetchProducts(ids) {
+      const query = ids.map((id) => `id:${id}`).join(' OR ');
+      const response = await fetch(`${this.dataset.url}&q=${encodeURIComponent(query)}`);
+      if (!response.ok) throw new Error(response.status);
+
+      const tmpl = document.createElement('template');
+      tmpl.innerHTML = await response.text();
+      return tmpl.content.querySelector('.js-wishlist-products ul');
+    }
+
+    /**
+     * Sorts the products into the order they were added to the wishlist (newest first).
+     * @param {Array} wishlistProducts - An array of product ids.
+     */
+    sortProducts(wishlistProducts) {
+      const grid = this.productsContainer.querySelector('ul');
+      if (!grid) return;
+
+      wishlistProducts.forEach((productId) => {
+        const item = grid.querySelector(`[data-wishlist-item="${productId}"]`);
+        if (item) grid.appendChild(item);
+      });
+    }
+
+    /**
+     * Handles 'on:wishlist:remove' events by removing the product from the list.
+     * @param {object} evt - Event object.
+     */
+    handleRemove(evt) {
+      const item = this.productsContainer.querySelector(
+        `[data-wishlist-item="${evt.detail.productId}"]`
+      );
+      if (item) item.remove();
+      this.setEmptyState();
+    }
+
+    /**
+     * Shows the empty message if there are no products in the list.
+     */
+    setEmptyState() {
+      const isEmpty = !this.productsContainer.querySelector('[data-wishlist-item]');
+      if (isEmpty && this.loadingSpinner) this.loadingSpinner.hidden = true;
+      this.emptyMessage.hidden = !isEmpty;
+    }
+  }
+
+  WishlistProducts.maxIdsPerQuery = 50;
+
+  customElements.define('wishlist-products', WishlistProducts);
+}
+
+// Keep the wishlist in sync with changes made in other tabs.
+window.addEventListener('storage', (evt) => {
+  if (evt.key === 'cc-wishlist') WishlistUtil.updateDom();
+});
+
+WishlistUtil.updateCounters();